@@ -1,19 +1,31 @@
 // QuantPerfector — Main Controller & Session State Machine
 
-import { SESSION_MODES, calculateXP, getLevel, getOperatorSymbol, canonicalizeProblemKey } from './constants.js';
+import { OPERATIONS, calculateXP, getLevel, getOperatorSymbol, canonicalizeProblemKey, answersMatch,
+         getAnswerMode, scoreEstimate, remainderAnswersMatch, INTERRUPTION, generateHintSteps, splitHintSteps,
+         generateMissingOperandHint, formatChainSteps, SESSION_MODES } from './constants.js';
+import { gradeFractionAnswer } from './fractions.js';
+import { setSeed, normalizeSeed, randomSeed, random } from './random.js';
 import { loadAll, getSettings, saveSettings, addXp, getTotalXp, logAttempt, saveSession,
-         updatePersonalBestSpeed, getProblemRecord, saveProblemRecord, createProblemRecord,
-         exportData, importData, resetAll, syncOnLoad } from './storage.js';
+         updatePersonalBestSpeed, getProblemRecord, getPersonalBests,
+         exportData, importData, resetAll, syncOnLoad, getRangeHistory, getProblemSets, getProblemSet,
+         saveProblemSet, deleteProblemSet, getCustomModes, saveCustomMode, deleteCustomMode } from './storage.js';
 import { initFirebase, signInAnonymously, completeSignInWithLink } from './firebase.js';
 import { initAuthUI } from './auth-ui.js';
-import { buildProblemPool, selectNextProblem, recordAttempt, generateRandomProblem,
-         getDrillProblems, selectDrillProblem } from './engine.js';
+import { engine } from './browser-engine.js';
+import { parseProblemList, createProblemSet, getSetProgress } from './problem-sets.js';
+import { classifyError } from './mistakes.js';
+import { resolveMode, drillConfig, validateCustomMode, createCustomMode } from './session-modes.js';
 import { showScreen, displayProblem, updateAnswerDisplay, startCountdownBar, resetCountdownBar,
          updateSessionTimer, updateSessionProgress, updateStreak, updateXpDisplay, showFeedback,
          updateModeBadge, showCountdown, showPause, hidePause, renderReview, showXpGain,
-         showLevelUp, sound, populateSettings, readSettings, applyTheme, updateHomeStats } from './ui.js';
-import { getOperationStats, getWeakestProblems, getSessionHistory, getImprovementTrend,
-         getFocusRecommendation, getWeaknessMap, getAllTimeStats } from './stats.js';
+         showLevelUp, sound, populateSettings, readSettings, applyTheme, updateHomeStats,
+         setAnswerMode, renderProgression, formatRange, renderProblemSets, showHint, renderCustomModeButtons,
+         renderCustomModes, renderModeBuilder, readModeBuilder, showModeErrors } from './ui.js';
+import { getOperationStats, getWeakestProblems, getSessionHistory, getImprovementTrend, getEstimationTrend,
+         getFocusRecommendation, getWeaknessMap, getUnaryWeaknessMap, getAllTimeStats, getSkillStats,
+         getRetentionByOrder, getMasteryByOperation, getHintDependence, getErrorPatternStats,
+         getZetamacScores } from './stats.js';
+import { evaluateProgression, applyRangeChange } from './progression.js';
 import { drawLineChart, drawHeatmapGrid, drawBarChart, setupHeatmapTooltip } from './charts.js';
 
 // ─── State ───
@@ -22,14 +34,22 @@ let state = 'IDLE'; // IDLE | STARTING | WARMUP | CORE | CHALLENGE | PAUSED | RE
 let pausedState = null;
 
 let sessionMode = 'flow';
+let sessionConfig = null; // resolved mode — see session-modes.js
 let sessionStartTime = 0;
 let sessionDurationMs = 0;
 let sessionTimerInterval = null;
+let sessionSeed = 0;
 let problemTimerTimeout = null;
 let problemStartTime = 0;
+let problemInterrupted = false; // paused, hidden or stalled mid-problem
+let lastInputTime = 0;
+let typingStarted = false;
+let hintSteps = [];
+let hintsUsed = 0;
 
 let currentProblem = null;
 let answerBuffer = '';
+let answerMode = 'number'; // number | fraction | remainder
 let isNegative = false;
 let streak = 0;
 let sessionXp = 0;
@@ -38,6 +58,7 @@ let sessionTotalCorrect = 0;
 let sessionStreakPeak = 0;
 
 let drillPool = [];
+let sessionSet = null; // custom problem set the session is restricted to, if any
 
 // ─── Init ───
 
@@ -48,7 +69,7 @@ export function init() {
     applyTheme(settings.theme);
     sound.setEnabled(settings.soundEnabled);
 
-    buildProblemPool();
+    engine.buildPool();
 
     // 2. Bind all event handlers (instant)
     bindHomeButtons();
@@ -57,6 +78,8 @@ export function init() {
     bindDashboardButtons();
     bindSettingsButtons();
     bindDrillButtons();
+    bindSetsButtons();
+    bindModesButtons();
     bindPauseButton();
 
     // Page visibility — auto-pause
@@ -99,7 +122,7 @@ async function bootstrapCloud() {
     try {
         const merged = await syncOnLoad();
         if (merged) {
-            buildProblemPool();
+            engine.buildPool();
             updateHomeScreen();
         }
     } catch (err) {
@@ -111,22 +134,41 @@ async function bootstrapCloud() {
 
 function updateHomeScreen() {
     updateHomeStats();
+    renderCustomModeButtons(getCustomModes());
+
+    const zetamacBest = getPersonalBests().zetamacScore || 0;
+    const zetamacDesc = document.querySelector('#btn-mode-zetamac .mode-btn-desc');
+    if (zetamacDesc) {
+        zetamacDesc.textContent = zetamacBest > 0 ? `2 min — best ${zetamacBest}` : SESSION_MODES.zetamac.description;
+    }
 
     const rec = getFocusRecommendation();
     const recEl = document.getElementById('focus-rec');
     if (recEl) {
         if (rec) {
-            recEl.innerHTML = `Focus: <strong>${rec.symbol} ${rec.operation}</strong> — ${rec.reason}`;
+            recEl.innerHTML = rec.skill
+                ? `Focus: <strong>${rec.skill}</strong> (${rec.symbol} ${rec.operation}) — ${rec.reason}`
+                : `Focus: <strong>${rec.symbol} ${rec.operation}</strong> — ${rec.reason}`;
             recEl.classList.remove('hidden');
         } else {
             recEl.classList.add('hidden');
         }
     }
 
+    // Mastered facts per operation — once there are any
+    const masteryEl = document.getElementById('mastery-summary');
+    if (masteryEl) {
+        const mastery = getMasteryByOperation();
+        masteryEl.classList.toggle('hidden', !mastery.some(m => m.mastered > 0));
+        masteryEl.innerHTML = mastery.map(m =>
+            `<span class="mastery-chip">${m.symbol} <strong>${m.mastered}</strong>/${m.total} mastered (${Math.round(m.share * 100)}%)</span>`
+        ).join('');
+    }
+
     // Drill button — show count
     const drillBtn = document.getElementById('btn-drill');
     if (drillBtn) {
-        const drills = getDrillProblems();
+        const drills = engine.drillProblems();
         if (drills.length > 0) {
             drillBtn.textContent = `Mistake Drill (${drills.length})`;
             drillBtn.disabled = false;
@@ -138,14 +180,22 @@ function updateHomeScreen() {
 }
 
 function bindHomeButtons() {
-    for (const mode of Object.keys(SESSION_MODES)) {
-        const btn = document.getElementById(`btn-mode-${mode}`);
-        if (btn) btn.addEventListener('click', () => startSession(mode));
-    }
+    // Built-in modes have fixed buttons; custom ones are added after them
+    const modeButtons = document.getElementById('mode-buttons');
+    if (modeButtons) modeButtons.addEventListener('click', (e) => {
+        const btn = e.target.closest('.mode-btn');
+        if (btn) startSession(btn.dataset.mode);
+    });
+
+    const modesBtn = document.getElementById('btn-modes');
+    if (modesBtn) modesBtn.addEventListener('click', showModesScreen);
 
     const drillBtn = document.getElementById('btn-drill');
     if (drillBtn) drillBtn.addEventListener('click', startDrill);
 
+    const setsBtn = document.getElementById('btn-sets');
+    if (setsBtn) setsBtn.addEventListener('click', showSetsScreen);
+
     const dashBtn = document.getElementById('btn-dashboard');
     if (dashBtn) dashBtn.addEventListener('click', showDashboard);
 
@@ -155,16 +205,23 @@ function bindHomeButtons() {
 
 // ─── Session ───
 
-function startSession(mode) {
+function startSession(mode, set = null) {
+    const config = resolveMode(mode, getSettings(), getCustomModes());
+    if (!config) return;
     sessionMode = mode;
-    const modeConfig = SESSION_MODES[mode];
-    sessionDurationMs = modeConfig.duration * 1000;
+    sessionConfig = config;
+    sessionDurationMs = (config.duration || 0) * 1000;
 
     // Init audio on user gesture
     sound.init();
 
+    // The pool is rebuilt (from the set or the mode's mix, if any) when the session is seeded
+    sessionSet = set;
+    engine.setProblemSet(set);
+    engine.setOperationMix(config.operationMix);
     resetSessionState();
-    updateModeBadge(mode);
+    updateModeBadge(set ? set.name : config.custom ? config.label : mode);
+    document.getElementById('btn-session-pause')?.classList.toggle('hidden', !!config.zetamac); // see pauseSession()
     showScreen('screen-session');
     state = 'STARTING';
 
@@ -182,35 +239,50 @@ function resetSessionState() {
     streak = 0;
     sessionXp = 0;
     sessionAttempts = [];
+    engine.startSession({ warmupCount: sessionConfig.warmupCount });
     sessionTotalCorrect = 0;
     sessionStreakPeak = 0;
     currentProblem = null;
+    seedSession();
     updateStreak(0);
     updateSessionProgress(0);
     updateXpDisplay();
 }
 
+// Seed precedence: ?seed= in the URL, then the fixed seed from settings, else a fresh one.
+// The pool is rebuilt from the seed so the whole run reproduces.
+function seedSession() {
+    const urlSeed = new URLSearchParams(window.location.search).get('seed');
+    const fixedSeed = getSettings().fixedSeed;
+    if (urlSeed) sessionSeed = normalizeSeed(urlSeed);
+    else if (fixedSeed !== '') sessionSeed = normalizeSeed(fixedSeed);
+    else sessionSeed = randomSeed();
+    setSeed(sessionSeed);
+    engine.buildPool();
+}
+
 function startSessionTimer() {
     clearInterval(sessionTimerInterval);
     sessionTimerInterval = setInterval(() => {
         const elapsed = Date.now() - sessionStartTime;
-        const remaining = sessionDurationMs - elapsed;
-        updateSessionTimer(remaining);
-        updateSessionProgress(elapsed / sessionDurationMs);
+        // A problem-count session counts up; a timed one counts down
+        const byCount = sessionConfig.limit === 'count';
+        const progress = byCount ? sessionAttempts.length / sessionConfig.problemCount : elapsed / sessionDurationMs;
+        updateSessionTimer(byCount ? elapsed : sessionDurationMs - elapsed);
+        updateSessionProgress(progress);
 
         // Phase transitions
         if (state === 'WARMUP') {
-            const warmupTarget = SESSION_MODES[sessionMode].warmupCount;
-            if (sessionAttempts.length >= warmupTarget) {
+            if (sessionAttempts.length >= sessionConfig.warmupCount) {
                 state = 'CORE';
             }
         } else if (state === 'CORE') {
-            if (elapsed >= sessionDurationMs * 0.80) {
+            if (progress >= sessionConfig.challengeAt) {
                 state = 'CHALLENGE';
             }
         }
 
-        if (remaining <= 0) {
+        if (!byCount && elapsed >= sessionDurationMs) {
             endSession();
         }
     }, 200);
@@ -218,6 +290,10 @@ function startSessionTimer() {
 
 function nextProblem() {
     if (state === 'REVIEWING' || state === 'IDLE') return;
+    if (sessionConfig.limit === 'count' && sessionAttempts.length >= sessionConfig.problemCount) {
+        endSession();
+        return;
+    }
 
     answerBuffer = '';
     isNegative = false;
@@ -226,31 +302,66 @@ function nextProblem() {
     const phase = state.toLowerCase();
 
     if (state === 'DRILLING') {
-        currentProblem = selectDrillProblem(drillPool, sessionAttempts);
+        currentProblem = engine.nextDrill(drillPool);
         if (!currentProblem) {
             endSession();
             return;
         }
+    } else if (sessionConfig.estimation) {
+        currentProblem = engine.estimationProblem();
+    } else if (sessionConfig.zetamac) {
+        currentProblem = engine.zetamacProblem();
     } else {
-        currentProblem = selectNextProblem(sessionAttempts, phase);
+        currentProblem = engine.next(phase);
         if (!currentProblem) {
             // Fallback: random problem
             const settings = getSettings();
-            const ops = Object.keys(settings.operationRanges).filter(op => settings.operationRanges[op].enabled);
+            const ops = sessionConfig.operationMix
+                ? Object.keys(sessionConfig.operationMix)
+                : Object.keys(settings.operationRanges).filter(op => settings.operationRanges[op].enabled);
             if (ops.length === 0) { endSession(); return; }
-            currentProblem = generateRandomProblem(ops[Math.floor(Math.random() * ops.length)]);
+            currentProblem = engine.randomProblem(ops[Math.floor(random() * ops.length)]);
         }
     }
 
+    answerMode = getAnswerMode(currentProblem.operation);
+    setAnswerMode(answerMode);
     displayProblem(currentProblem);
+    hintSteps = sessionConfig.zetamac ? [] : hintStepsFor(currentProblem); // no help in a scored run
+    hintsUsed = 0;
+    showHint(null, hintSteps.length > 0);
     problemStartTime = Date.now();
+    problemInterrupted = false;
+    lastInputTime = problemStartTime;
+    typingStarted = false;
 
-    // Per-problem timer
-    const settings = getSettings();
-    const timerMs = settings.timerSeconds * 1000;
-    startCountdownBar(timerMs);
+    // Per-problem timer; with the mode's timer off the limit only grades speed
+    const { rule, seconds } = sessionConfig.timer;
+    currentProblem.timeLimitMs = engine.timeLimitMs(currentProblem, rule === 'settings' ? null : { mode: rule, seconds });
     clearTimeout(problemTimerTimeout);
-    problemTimerTimeout = setTimeout(() => handleTimeout(), timerMs);
+    if (rule === 'off') {
+        resetCountdownBar();
+    } else {
+        startCountdownBar(currentProblem.timeLimitMs);
+        problemTimerTimeout = setTimeout(() => handleTimeout(), currentProblem.timeLimitMs);
+    }
+}
+
+// Strategy hint for the problem on screen, split into steps; estimates get none
+function hintStepsFor(problem) {
+    if (problem.estimate) return [];
+    if (problem.format) {
+        const hint = generateMissingOperandHint(problem.operation, problem.a, problem.b, problem.format);
+        return splitHintSteps(hint, problem.answer);
+    }
+    if (problem.steps) return splitHintSteps(formatChainSteps(problem.steps), problem.answer);
+    return generateHintSteps(problem.operation, problem.a, problem.b, problem.answer);
+}
+
+function revealHint() {
+    if (hintsUsed >= hintSteps.length) return;
+    hintsUsed++;
+    showHint(hintSteps[hintsUsed - 1], hintsUsed < hintSteps.length);
 }
 
 function submitAnswer() {
@@ -260,34 +371,65 @@ function submitAnswer() {
     resetCountdownBar();
 
     const responseTimeMs = Date.now() - problemStartTime;
-    const userAnswer = isNegative ? -parseInt(answerBuffer, 10) : parseInt(answerBuffer, 10);
-    const isCorrect = userAnswer === currentProblem.answer;
+    if (sessionConfig.zetamac) {
+        processZetamacAnswer(responseTimeMs);
+        return;
+    }
     const settings = getSettings();
-    const timerLimitMs = settings.timerSeconds * 1000;
+    const timerLimitMs = currentProblem.timeLimitMs;
+
+    if (answerMode === 'fraction') {
+        const userAnswer = (isNegative ? '-' : '') + answerBuffer;
+        const result = gradeFractionAnswer(userAnswer, currentProblem.answer, settings.requireReducedFractions);
+        processAnswer(result.isCorrect, userAnswer, responseTimeMs, timerLimitMs, false, result);
+        return;
+    }
+
+    if (answerMode === 'remainder') {
+        const userAnswer = answerBuffer.replace('r', ' r ');
+        processAnswer(remainderAnswersMatch(userAnswer, currentProblem.answer), userAnswer,
+            responseTimeMs, timerLimitMs, false);
+        return;
+    }
+
+    if (currentProblem.estimate) {
+        const userAnswer = parseAnswer(answerBuffer, isNegative);
+        const result = scoreEstimate(userAnswer, currentProblem.answer, settings.estimation.tolerance);
+        processAnswer(result.isCorrect, userAnswer, responseTimeMs, timerLimitMs, false, result);
+        return;
+    }
 
+    const userAnswer = parseAnswer(answerBuffer, isNegative);
+    const isCorrect = answersMatch(userAnswer, currentProblem.answer);
     processAnswer(isCorrect, userAnswer, responseTimeMs, timerLimitMs, false);
 }
 
 function handleTimeout() {
     if (!currentProblem) return;
+    noteIdle();
     resetCountdownBar();
-    const responseTimeMs = getSettings().timerSeconds * 1000;
+    const responseTimeMs = currentProblem.timeLimitMs;
     processAnswer(false, null, responseTimeMs, responseTimeMs, true);
 }
 
-function processAnswer(isCorrect, userAnswer, responseTimeMs, timerLimitMs, timedOut) {
+function processAnswer(isCorrect, userAnswer, responseTimeMs, timerLimitMs, timedOut, detail = null) {
     const prevLevel = getLevel(getTotalXp());
 
-    // Update SM-2 record
-    let rec = getProblemRecord(currentProblem.key);
-    if (!rec) {
-        rec = createProblemRecord(currentProblem.key, currentProblem.operation,
-            currentProblem.a, currentProblem.b, currentProblem.answer);
-    }
-    recordAttempt(rec, isCorrect, responseTimeMs, timerLimitMs, timedOut);
+    // Update the problem's schedule
+    const closeness = detail?.closeness ?? 1;
+    const { interrupted } = engine.answer(currentProblem,
+        { isCorrect, responseTimeMs, timeLimitMs: timerLimitMs, timedOut, closeness, interrupted: problemInterrupted,
+          hintsUsed });
+    hintSteps = [];
+    showHint(null, false);
+
+    // Likely cause of a wrong answer
+    const mistake = isCorrect || timedOut || currentProblem.estimate ? null
+        : classifyError(currentProblem.operation, currentProblem.a, currentProblem.b, currentProblem.answer,
+            userAnswer, currentProblem.format);
 
     // XP
-    const xp = calculateXP(isCorrect, responseTimeMs, timerLimitMs, streak);
+    const xp = calculateXP(isCorrect, responseTimeMs, timerLimitMs, streak, closeness, hintsUsed);
     if (xp > 0) {
         addXp(xp);
         sessionXp += xp;
@@ -299,7 +441,7 @@ function processAnswer(isCorrect, userAnswer, responseTimeMs, timerLimitMs, time
         streak++;
         sessionTotalCorrect++;
         if (streak > sessionStreakPeak) sessionStreakPeak = streak;
-        updatePersonalBestSpeed(currentProblem.key, responseTimeMs);
+        if (!currentProblem.estimate && !interrupted) updatePersonalBestSpeed(currentProblem.key, responseTimeMs);
         sound.playCorrect();
         if (streak >= 3) sound.playStreak(streak);
     } else {
@@ -321,10 +463,22 @@ function processAnswer(isCorrect, userAnswer, responseTimeMs, timerLimitMs, time
         userAnswer,
         isCorrect,
         responseTimeMs,
+        timeLimitMs: timerLimitMs,
         timestamp: new Date().toISOString(),
         timedOut,
-        phase: state.toLowerCase()
+        phase: state.toLowerCase(),
+        skills: currentProblem.skills || []
     };
+    if (currentProblem.format) attempt.format = currentProblem.format;
+    if (currentProblem.spotCheck) attempt.spotCheck = true;
+    if (interrupted) attempt.interrupted = true;
+    if (hintsUsed > 0) attempt.hintsUsed = hintsUsed;
+    if (mistake) attempt.errorPattern = mistake.pattern;
+    if (currentProblem.estimate) {
+        attempt.estimate = true;
+        attempt.baseOperation = currentProblem.baseOperation;
+        attempt.errorPct = detail ? detail.errorPct : null;
+    }
     sessionAttempts.push(attempt);
     logAttempt(attempt);
 
@@ -335,13 +489,28 @@ function processAnswer(isCorrect, userAnswer, responseTimeMs, timerLimitMs, time
         sound.playLevelUp();
     }
 
-    // Show feedback then advance
-    showFeedback(isCorrect, currentProblem, userAnswer);
-
-    const delay = isCorrect ? 300 : 2000;
+    // Show feedback then advance; estimates always reveal the exact answer, so give it time to be read
+    const { correctMs, wrongMs } = sessionConfig.feedback;
+    const delay = currentProblem.estimate ? (isCorrect ? 1200 : 2000) : (isCorrect ? correctMs : wrongMs);
+    if (delay === 0) {
+        nextProblem();
+        return;
+    }
+    showFeedback(isCorrect, currentProblem, userAnswer, detail, mistake, delay);
     setTimeout(() => nextProblem(), delay);
 }
 
+// A Zetamac answer only counts towards the score: it's outside the schedule, XP and the attempt log
+function processZetamacAnswer(responseTimeMs) {
+    streak++;
+    sessionTotalCorrect++;
+    if (streak > sessionStreakPeak) sessionStreakPeak = streak;
+    sound.playCorrect();
+    updateStreak(streak);
+    sessionAttempts.push({ problemKey: currentProblem.key, operation: currentProblem.operation, isCorrect: true, responseTimeMs });
+    nextProblem();
+}
+
 function endSession() {
     clearInterval(sessionTimerInterval);
     clearTimeout(problemTimerTimeout);
@@ -349,25 +518,34 @@ function endSession() {
 
     state = 'REVIEWING';
 
+    if (sessionConfig.zetamac) {
+        endZetamacRun();
+        return;
+    }
+
     // Build session record
     const totalProblems = sessionAttempts.length;
     const accuracy = totalProblems > 0 ? sessionTotalCorrect / totalProblems : 0;
-    const totalTimeMs = sessionAttempts.reduce((s, a) => s + a.responseTimeMs, 0);
-    const avgResponseTimeMs = totalProblems > 0 ? totalTimeMs / totalProblems : 0;
+    // Interrupted attempts count, but not towards speed
+    const timed = sessionAttempts.filter(a => !a.interrupted);
+    const totalTimeMs = timed.reduce((s, a) => s + a.responseTimeMs, 0);
+    const avgResponseTimeMs = timed.length > 0 ? totalTimeMs / timed.length : 0;
 
     // Operation breakdown
     const opBreakdown = {};
     for (const a of sessionAttempts) {
         if (!opBreakdown[a.operation]) {
-            opBreakdown[a.operation] = { count: 0, correct: 0, totalTimeMs: 0, avgTimeMs: 0 };
+            opBreakdown[a.operation] = { count: 0, correct: 0, timed: 0, totalTimeMs: 0, avgTimeMs: 0 };
         }
         opBreakdown[a.operation].count++;
         if (a.isCorrect) opBreakdown[a.operation].correct++;
+        if (a.interrupted) continue;
+        opBreakdown[a.operation].timed++;
         opBreakdown[a.operation].totalTimeMs += a.responseTimeMs;
     }
     for (const op of Object.keys(opBreakdown)) {
-        opBreakdown[op].avgTimeMs = opBreakdown[op].count > 0
-            ? opBreakdown[op].totalTimeMs / opBreakdown[op].count : 0;
+        opBreakdown[op].avgTimeMs = opBreakdown[op].timed > 0
+            ? opBreakdown[op].totalTimeMs / opBreakdown[op].timed : 0;
     }
 
     // Weakest problems (most wrong in this session)
@@ -382,9 +560,16 @@ function endSession() {
         .slice(0, 5)
         .map(([key]) => key);
 
+    // Wrong answers by likely cause
+    const errorPatterns = {};
+    for (const a of sessionAttempts) {
+        if (a.errorPattern) errorPatterns[a.errorPattern] = (errorPatterns[a.errorPattern] || 0) + 1;
+    }
+
     const session = {
         id: `s_${sessionStartTime}`,
         mode: sessionMode,
+        seed: sessionSeed,
         startTime: new Date(sessionStartTime).toISOString(),
         endTime: new Date().toISOString(),
         durationMs: Date.now() - sessionStartTime,
@@ -394,19 +579,73 @@ function endSession() {
         avgResponseTimeMs,
         xpEarned: sessionXp,
         streakPeak: sessionStreakPeak,
+        hintsUsed: sessionAttempts.reduce((s, a) => s + (a.hintsUsed || 0), 0),
         operationBreakdown: opBreakdown,
-        weakestProblems: weakest
+        weakestProblems: weakest,
+        errorPatterns
     };
 
+    if (sessionSet) {
+        session.problemSetId = sessionSet.id;
+        session.problemSetName = sessionSet.name;
+    }
+
+    if (sessionConfig.custom) session.modeName = sessionConfig.label;
+
+    // Logged so retention can be compared between orderings; a mode's mix overrides the
+    // ordering (outside a set), so those sessions are kept apart
+    if (sessionConfig.operationMix && !sessionSet) {
+        session.practiceOrder = 'mix';
+    } else if (!sessionConfig.estimation) {
+        const settings = getSettings();
+        session.practiceOrder = settings.practiceOrder;
+        if (settings.practiceOrder !== 'interleaved') session.blockSize = settings.blockSize;
+    }
+
+    const estimates = sessionAttempts.filter(a => a.estimate && a.errorPct !== null);
+    if (estimates.length > 0) {
+        session.avgErrorPct = estimates.reduce((s, a) => s + a.errorPct, 0) / estimates.length;
+    }
+
     saveSession(session);
     renderReview(session);
+
+    // Back to the range pool; progression is judged on it, not on the set or mix
+    if (sessionSet || sessionConfig.operationMix) {
+        engine.setProblemSet(null);
+        engine.setOperationMix(null);
+        engine.buildPool();
+    }
+    renderProgression(evaluateProgression(), change => applyRangeChange(change, 'expand'));
+    showScreen('screen-review');
+}
+
+// A Zetamac run keeps only its score and when it ran; nothing in it feeds progression
+function endZetamacRun() {
+    const previousBest = getPersonalBests().zetamacScore || 0;
+    const session = {
+        id: `s_${sessionStartTime}`,
+        mode: sessionMode,
+        seed: sessionSeed,
+        startTime: new Date(sessionStartTime).toISOString(),
+        endTime: new Date().toISOString(),
+        durationMs: Date.now() - sessionStartTime,
+        totalProblems: sessionTotalCorrect,
+        score: sessionTotalCorrect // every Zetamac answer is a right one, so the score is the count
+    };
+    saveSession(session);
+    renderReview(session, { newBest: session.score > previousBest });
+    renderProgression({ expansions: [], rollbacks: [] }, () => {});
     showScreen('screen-review');
 }
 
 function pauseSession() {
-    if (state === 'PAUSED') return;
+    // A Zetamac run is a fixed two minutes, so it can't be paused
+    if (state === 'PAUSED' || sessionConfig?.zetamac) return;
     pausedState = state;
     state = 'PAUSED';
+    // Time away mid-problem isn't answer time
+    if (currentProblem) problemInterrupted = true;
     clearInterval(sessionTimerInterval);
     clearTimeout(problemTimerTimeout);
     resetCountdownBar();
@@ -420,9 +659,9 @@ function pauseSession() {
         state = pausedState;
         startSessionTimer();
         // Restart problem timer with remaining time
+        if (sessionConfig.timer.rule === 'off') return;
         const elapsed = Date.now() - problemStartTime;
-        const settings = getSettings();
-        const remaining = settings.timerSeconds * 1000 - elapsed;
+        const remaining = currentProblem.timeLimitMs - elapsed;
         if (remaining > 0) {
             startCountdownBar(remaining);
             problemTimerTimeout = setTimeout(() => handleTimeout(), remaining);
@@ -435,7 +674,7 @@ function pauseSession() {
 // ─── Drill Mode ───
 
 function startDrill() {
-    drillPool = getDrillProblems();
+    drillPool = engine.drillProblems();
     if (drillPool.length === 0) {
         // Show empty state
         showScreen('screen-drill');
@@ -450,9 +689,13 @@ function startDrill() {
     }
 
     sound.init();
-    resetSessionState();
+    sessionSet = null;
+    engine.setProblemSet(null);
+    engine.setOperationMix(null);
     sessionMode = 'drill';
-    sessionDurationMs = 300000; // 5 min max for drill
+    sessionConfig = drillConfig();
+    resetSessionState();
+    sessionDurationMs = sessionConfig.duration * 1000;
     updateModeBadge('drill');
     showScreen('screen-session');
     state = 'DRILLING';
@@ -467,22 +710,43 @@ function bindSessionInput() {
     // Keyboard
     document.addEventListener('keydown', (e) => {
         if (state !== 'WARMUP' && state !== 'CORE' && state !== 'CHALLENGE' && state !== 'DRILLING') return;
+        noteInput();
 
         if (e.key >= '0' && e.key <= '9') {
             appendDigit(e.key);
+        } else if (e.key === '.' || e.key === ',') {
+            appendDecimalPoint();
+        } else if (e.key === '/') {
+            e.preventDefault();
+            appendFractionBar();
+        } else if (e.key === 'r' || e.key === 'R' || e.key === ' ') {
+            e.preventDefault();
+            appendRemainderMark();
         } else if (e.key === 'Backspace' || e.key === 'Delete') {
             e.preventDefault();
             deleteLastDigit();
         } else if (e.key === 'Enter') {
             e.preventDefault();
-            if (answerBuffer.length > 0) submitAnswer();
+            if (canSubmit()) submitAnswer();
         } else if (e.key === 'Escape') {
             pauseSession();
         } else if (e.key === '-') {
             toggleNegative();
+        } else if (e.key === 'h' || e.key === 'H') {
+            revealHint();
         }
+        autoSubmit();
     });
 
+    const hintBtn = document.getElementById('btn-hint');
+    if (hintBtn) {
+        hintBtn.addEventListener('click', () => {
+            if (state !== 'WARMUP' && state !== 'CORE' && state !== 'CHALLENGE' && state !== 'DRILLING') return;
+            noteInput();
+            revealHint();
+        });
+    }
+
     // Numpad clicks
     const numpad = document.querySelector('.numpad');
     if (numpad) {
@@ -492,21 +756,78 @@ function bindSessionInput() {
             const key = btn.dataset.key;
 
             if (state !== 'WARMUP' && state !== 'CORE' && state !== 'CHALLENGE' && state !== 'DRILLING') return;
+            noteInput();
 
             if (key === 'delete') deleteLastDigit();
-            else if (key === 'enter') { if (answerBuffer.length > 0) submitAnswer(); }
+            else if (key === 'enter') { if (canSubmit()) submitAnswer(); }
             else if (key === 'negative') toggleNegative();
+            else if (key === 'decimal') appendDecimalPoint();
+            else if (key === 'fraction') appendFractionBar();
+            else if (key === 'remainder') appendRemainderMark();
             else appendDigit(key);
+            autoSubmit();
         });
     }
 }
 
+// A long stall once typing has begun reads as a distraction rather than thinking time
+function noteIdle() {
+    if (typingStarted && Date.now() - lastInputTime > INTERRUPTION.IDLE_MS) problemInterrupted = true;
+}
+
+function noteInput() {
+    noteIdle();
+    typingStarted = true;
+    lastInputTime = Date.now();
+}
+
 function appendDigit(d) {
-    if (answerBuffer.length >= 6) return; // Max digits
+    if (answerBuffer.length >= 8) return; // Max digits (incl. decimal point)
     answerBuffer += d;
     updateAnswerDisplay((isNegative ? '-' : '') + answerBuffer);
 }
 
+function appendDecimalPoint() {
+    if (answerMode !== 'number') return;
+    if (answerBuffer.includes('.') || answerBuffer.length >= 7) return;
+    answerBuffer += answerBuffer.length === 0 ? '0.' : '.';
+    updateAnswerDisplay((isNegative ? '-' : '') + answerBuffer);
+}
+
+// Numerator typed — switch to the denominator
+function appendFractionBar() {
+    if (answerMode !== 'fraction') return;
+    if (answerBuffer.length === 0 || answerBuffer.includes('/') || answerBuffer.length >= 7) return;
+    answerBuffer += '/';
+    updateAnswerDisplay((isNegative ? '-' : '') + answerBuffer);
+}
+
+// Quotient typed — switch to the remainder
+function appendRemainderMark() {
+    if (answerMode !== 'remainder') return;
+    if (answerBuffer.length === 0 || answerBuffer.includes('r') || answerBuffer.length >= 7) return;
+    answerBuffer += 'r';
+    updateAnswerDisplay(answerBuffer);
+}
+
+function canSubmit() {
+    if (sessionConfig.zetamac) return false; // answers go in by themselves — see autoSubmit()
+    if (answerMode === 'remainder') return /^\d+r\d+$/.test(answerBuffer);
+    return answerBuffer.length > 0 && !answerBuffer.endsWith('/');
+}
+
+// Zetamac rules: the typed answer is taken the moment it's right
+function autoSubmit() {
+    if (!sessionConfig.zetamac || !currentProblem) return;
+    if (answersMatch(parseAnswer(answerBuffer, isNegative), currentProblem.answer)) submitAnswer();
+}
+
+function parseAnswer(buffer, negative) {
+    const value = parseFloat(buffer);
+    if (isNaN(value)) return null;
+    return negative ? -value : value;
+}
+
 function deleteLastDigit() {
     answerBuffer = answerBuffer.slice(0, -1);
     if (answerBuffer.length === 0) isNegative = false;
@@ -514,6 +835,7 @@ function deleteLastDigit() {
 }
 
 function toggleNegative() {
+    if (answerMode === 'remainder') return;
     isNegative = !isNegative;
     if (answerBuffer.length > 0) {
         updateAnswerDisplay((isNegative ? '-' : '') + answerBuffer);
@@ -532,7 +854,8 @@ function bindReviewButtons() {
 
     const againBtn = document.getElementById('btn-review-again');
     if (againBtn) againBtn.addEventListener('click', () => {
-        startSession(sessionMode === 'drill' ? 'flow' : sessionMode);
+        const set = sessionSet && getProblemSet(sessionSet.id);
+        startSession(sessionMode === 'drill' ? 'flow' : sessionMode, set || null);
     });
 }
 
@@ -593,6 +916,55 @@ function renderDashboard() {
         });
     }
 
+    // Estimation error and accuracy trends — only once there are estimates to show
+    const estTrend = getEstimationTrend(30);
+    for (const id of ['estimation-card', 'estimation-accuracy-card']) {
+        document.getElementById(id)?.classList.toggle('hidden', estTrend.total === 0);
+    }
+    const estCanvas = document.getElementById('chart-estimation');
+    if (estCanvas && estTrend.total > 0) {
+        drawLineChart(estCanvas, {
+            data: estTrend.errorPct,
+            color: '#f59e0b',
+            fillColor: 'rgba(245,158,11,0.1)',
+            yLabel: 'Avg Error (%)',
+            xLabels: estTrend.dates
+        });
+    }
+    const estAccCanvas = document.getElementById('chart-estimation-accuracy');
+    if (estAccCanvas && estTrend.total > 0) {
+        drawLineChart(estAccCanvas, {
+            data: estTrend.accuracy,
+            color: '#22c55e',
+            fillColor: 'rgba(34,197,94,0.1)',
+            yLabel: 'Accuracy',
+            xLabels: estTrend.dates
+        });
+    }
+
+    // Zetamac score per run, with the best — only once there's been a run
+    const zetamac = getZetamacScores(30);
+    const zetamacCard = document.getElementById('zetamac-card');
+    if (zetamacCard) zetamacCard.classList.toggle('hidden', zetamac.best === 0 && zetamac.scores.length === 0);
+    const zetamacEl = document.getElementById('zetamac-stats');
+    if (zetamacEl) {
+        zetamacEl.innerHTML = `<div class="op-breakdown-row">
+                <span class="op-name">Personal best</span>
+                <span class="op-acc">${zetamac.best}</span>
+                <span class="op-speed">average ${zetamac.average.toFixed(1)} over ${zetamac.scores.length} run${zetamac.scores.length === 1 ? '' : 's'}</span>
+            </div>`;
+    }
+    const zetamacCanvas = document.getElementById('chart-zetamac');
+    if (zetamacCanvas && zetamac.scores.length > 0) {
+        drawLineChart(zetamacCanvas, {
+            data: zetamac.scores,
+            color: '#22c55e',
+            fillColor: 'rgba(34,197,94,0.1)',
+            yLabel: 'Score',
+            xLabels: zetamac.dates
+        });
+    }
+
     // Weakness heatmap (multiplication)
     const settings = getSettings();
     if (settings.operationRanges.mul.enabled) {
@@ -605,6 +977,91 @@ function renderDashboard() {
         }
     }
 
+    renderUnaryHeatmap();
+
+    // Skills — weakest first
+    const skillEl = document.getElementById('skill-stats');
+    if (skillEl) {
+        const skills = getSkillStats().filter(s => s.attempts >= 5)
+            .sort((a, b) => a.accuracy - b.accuracy)
+            .slice(0, 8);
+        skillEl.innerHTML = skills.length === 0
+            ? '<p style="color: var(--text-muted); text-align: center;">Not enough data yet</p>'
+            : skills.map(s => `<div class="op-breakdown-row">
+                    <span class="op-name">${s.label}</span>
+                    <span class="op-acc">${Math.round(s.accuracy * 100)}%</span>
+                    <span class="op-speed">${(s.avgTimeMs / 1000).toFixed(1)}s</span>
+                </div>`).join('');
+    }
+
+    // Mastered facts per operation
+    const masteryEl = document.getElementById('mastery-stats');
+    if (masteryEl) {
+        const mastery = getMasteryByOperation();
+        masteryEl.innerHTML = mastery.length === 0
+            ? '<p style="color: var(--text-muted); text-align: center;">No operations enabled</p>'
+            : mastery.map(m => `<div class="op-breakdown-row">
+                    <span class="op-name">${m.symbol} ${m.name}</span>
+                    <span class="op-acc">${Math.round(m.share * 100)}%</span>
+                    <span class="op-speed">${m.mastered}/${m.total}</span>
+                </div>`).join('');
+    }
+
+    // Wrong answers by likely cause — only once some have been classified
+    const mistakeCard = document.getElementById('mistakes-card');
+    const mistakeEl = document.getElementById('mistake-stats');
+    const patterns = getErrorPatternStats();
+    if (mistakeCard) mistakeCard.classList.toggle('hidden', patterns.length === 0);
+    if (mistakeEl) {
+        mistakeEl.innerHTML = patterns.map(p => `<div class="op-breakdown-row">
+                <span class="op-name">${p.label}</span>
+                <span class="op-acc">${Math.round(p.share * 100)}%</span>
+                <span class="op-speed">${p.count}</span>
+            </div>`).join('');
+    }
+
+    // Facts whose latest attempts still used hints — only once there are any
+    const hintCard = document.getElementById('hints-card');
+    const hintEl = document.getElementById('hint-stats');
+    const hinted = getHintDependence();
+    if (hintCard) hintCard.classList.toggle('hidden', hinted.length === 0);
+    if (hintEl) {
+        hintEl.innerHTML = hinted.map(h => `<div class="op-breakdown-row">
+                <span class="op-name">${h.label}</span>
+                <span class="op-acc">${Math.round(h.share * 100)}%</span>
+                <span class="op-speed">${h.hinted}/${h.attempts} hinted</span>
+            </div>`).join('');
+    }
+
+    // Delayed recall per practice ordering — only once there is something to compare
+    const orderCard = document.getElementById('ordering-card');
+    const orderEl = document.getElementById('ordering-stats');
+    const retention = getRetentionByOrder().filter(r => r.reviews > 0);
+    if (orderCard) orderCard.classList.toggle('hidden', retention.length < 2);
+    if (orderEl) {
+        orderEl.innerHTML = retention.map(r => `<div class="op-breakdown-row">
+                <span class="op-name">${r.label}</span>
+                <span class="op-acc">${Math.round(r.retention * 100)}%</span>
+                <span class="op-speed">${r.reviews} reviews</span>
+            </div>`).join('');
+    }
+
+    // Range progression timeline, newest first
+    const progCard = document.getElementById('progression-card');
+    const progEl = document.getElementById('progression-history');
+    const rangeHistory = getRangeHistory();
+    if (progCard) progCard.classList.toggle('hidden', rangeHistory.length === 0);
+    if (progEl) {
+        progEl.innerHTML = [...rangeHistory].reverse().map(c => {
+            const date = new Date(c.date);
+            return `<div class="session-item">
+                <span class="session-item-date">${date.getMonth() + 1}/${date.getDate()}</span>
+                <span>${formatRange(c.operation, c.from)} → ${formatRange(c.operation, c.to)}</span>
+                <span class="session-item-mode">${c.kind === 'expand' ? 'widened' : 'eased back'}</span>
+            </div>`;
+        }).join('');
+    }
+
     // Session history
     const histEl = document.getElementById('session-history');
     if (histEl) {
@@ -617,8 +1074,8 @@ function renderDashboard() {
                 const dateStr = `${date.getMonth() + 1}/${date.getDate()}`;
                 return `<div class="session-item">
                     <span class="session-item-date">${dateStr}</span>
-                    <span class="session-item-mode">${s.mode}</span>
-                    <span class="session-item-acc">${Math.round(s.accuracy * 100)}%</span>
+                    <span class="session-item-mode">${s.modeName || s.mode}</span>
+                    <span class="session-item-acc">${s.score !== undefined ? `score ${s.score}` : `${Math.round(s.accuracy * 100)}%`}</span>
                     <span class="session-item-count">${s.totalProblems}</span>
                 </div>`;
             }).join('');
@@ -628,7 +1085,7 @@ function renderDashboard() {
     // Operation performance
     const opEl = document.getElementById('op-performance');
     if (opEl) {
-        const ops = ['add', 'sub', 'mul', 'div'].filter(op => settings.operationRanges[op].enabled);
+        const ops = Object.keys(settings.operationRanges).filter(op => settings.operationRanges[op].enabled);
         const labels = ops.map(op => getOperatorSymbol(op));
         const values = ops.map(op => {
             const s = getOperationStats(op);
@@ -640,12 +1097,39 @@ function renderDashboard() {
     }
 }
 
+// Weakness view for squares, roots, cubes and powers of two
+function renderUnaryHeatmap() {
+    const card = document.getElementById('unary-card');
+    const select = document.getElementById('unary-heatmap-op');
+    if (!card || !select) return;
+
+    const settings = getSettings();
+    const ops = Object.keys(settings.operationRanges)
+        .filter(op => OPERATIONS[op]?.category === 'unary' && settings.operationRanges[op].enabled);
+    card.classList.toggle('hidden', ops.length === 0);
+    if (ops.length === 0) return;
+
+    const selected = ops.includes(select.value) ? select.value : ops[0];
+    select.innerHTML = ops.map(op => `<option value="${op}">${OPERATIONS[op].name}</option>`).join('');
+    select.value = selected;
+
+    const map = getUnaryWeaknessMap(selected);
+    const canvas = document.getElementById('chart-unary-heatmap');
+    if (canvas && map) drawHeatmapGrid(canvas, map);
+}
+
 function bindDashboardButtons() {
     const backBtn = document.getElementById('btn-dash-back');
     if (backBtn) backBtn.addEventListener('click', () => {
         showScreen('screen-home');
         updateHomeScreen();
     });
+
+    const unarySelect = document.getElementById('unary-heatmap-op');
+    if (unarySelect) unarySelect.addEventListener('change', renderUnaryHeatmap);
+
+    // The tooltip reads whichever grid was drawn last, so it's bound once
+    setupHeatmapTooltip(document.getElementById('chart-unary-heatmap'), document.getElementById('heatmap-tooltip'));
 }
 
 // ─── Settings ───
@@ -663,9 +1147,10 @@ function bindSettingsButtons() {
         const settings = getSettings();
         const newSettings = readSettings(settings);
         saveSettings(newSettings);
+        if (newSettings.scheduler !== settings.scheduler) engine.convertRecords(newSettings.scheduler);
         applyTheme(newSettings.theme);
         sound.setEnabled(newSettings.soundEnabled);
-        buildProblemPool();
+        engine.buildPool();
         showScreen('screen-home');
         updateHomeScreen();
     });
@@ -710,7 +1195,7 @@ function bindSettingsButtons() {
         if (confirm('Reset ALL data? This cannot be undone.')) {
             if (confirm('Are you absolutely sure? All progress will be lost.')) {
                 resetAll();
-                buildProblemPool();
+                engine.buildPool();
                 showScreen('screen-home');
                 updateHomeScreen();
             }
@@ -731,6 +1216,95 @@ function bindDrillButtons() {
     }
 }
 
+// ─── Problem Sets ───
+
+// Set sessions run at sprint length: a focused list is small
+const SET_SESSION_MODE = 'sprint';
+
+function showSetsScreen() {
+    showScreen('screen-sets');
+    renderSets();
+}
+
+function renderSets() {
+    renderProblemSets(getProblemSets(), set => getSetProgress(set, getProblemRecord), {
+        onPractice: set => startSession(SET_SESSION_MODE, set),
+        onDelete: set => {
+            if (!confirm(`Delete "${set.name}"? Its problems keep their history.`)) return;
+            deleteProblemSet(set.id);
+            renderSets();
+        }
+    });
+}
+
+function bindSetsButtons() {
+    const backBtn = document.getElementById('btn-sets-back');
+    if (backBtn) backBtn.addEventListener('click', () => {
+        showScreen('screen-home');
+        updateHomeScreen();
+    });
+
+    const saveBtn = document.getElementById('btn-set-save');
+    if (saveBtn) saveBtn.addEventListener('click', () => {
+        const nameInput = document.getElementById('set-name');
+        const sourceInput = document.getElementById('set-source');
+        const errorsEl = document.getElementById('set-errors');
+        const source = sourceInput.value.trim();
+        const { items, errors } = parseProblemList(source);
+
+        const problems = [];
+        if (errors.length > 0) problems.push(`Couldn't read: ${errors.join(', ')}`);
+        if (items.length === 0) problems.push('The set has no problems');
+        errorsEl.textContent = problems.join('. ');
+        errorsEl.classList.toggle('hidden', problems.length === 0);
+        if (problems.length > 0) return;
+
+        saveProblemSet(createProblemSet(nameInput.value.trim() || source.slice(0, 40), source, items));
+        nameInput.value = '';
+        sourceInput.value = '';
+        renderSets();
+    });
+}
+
+// ─── Session Builder ───
+
+function showModesScreen() {
+    showScreen('screen-modes');
+    renderModeBuilder(getSettings());
+    renderModes();
+}
+
+function renderModes() {
+    renderCustomModes(getCustomModes(), {
+        onStart: mode => startSession(mode.id),
+        onDelete: mode => {
+            if (!confirm(`Delete the "${mode.name}" mode? Its sessions stay in your history.`)) return;
+            deleteCustomMode(mode.id);
+            renderModes();
+        }
+    });
+}
+
+function bindModesButtons() {
+    const backBtn = document.getElementById('btn-modes-back');
+    if (backBtn) backBtn.addEventListener('click', () => {
+        showScreen('screen-home');
+        updateHomeScreen();
+    });
+
+    const saveBtn = document.getElementById('btn-mode-save');
+    if (saveBtn) saveBtn.addEventListener('click', () => {
+        const fields = readModeBuilder();
+        const errors = validateCustomMode(fields);
+        showModeErrors(errors);
+        if (errors.length > 0) return;
+
+        saveCustomMode(createCustomMode(fields));
+        renderModeBuilder(getSettings());
+        renderModes();
+    });
+}
+
 function bindPauseButton() {
     const pauseBtn = document.getElementById('btn-session-pause');
     if (pauseBtn) {
@@ -0,0 +1,18 @@
+// QuantPerfector — Browser Engine (the app's engine, backed by localStorage)
+
+import { createEngine } from './engine.js';
+import { getProblemRecord, getAllProblemRecords, saveProblemRecord, saveProblemRecords, deleteProblemRecords,
+         getAttemptLog, getSettings, getProblemSets } from './storage.js';
+import { random } from './random.js';
+
+const localStore = {
+    getRecord: getProblemRecord,
+    getAllRecords: getAllProblemRecords,
+    saveRecord: record => saveProblemRecord(record.key, record),
+    saveRecords: saveProblemRecords,
+    deleteRecords: deleteProblemRecords,
+    getAttempts: getAttemptLog,
+    getProblemSets
+};
+
+export const engine = createEngine({ store: localStore, settings: getSettings, rng: random, clock: Date });
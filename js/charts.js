@@ -235,7 +235,7 @@ export function setupHeatmapTooltip(canvas, tooltipEl) {
                 tooltipEl.style.left = `${e.clientX + 12}px`;
                 tooltipEl.style.top = `${e.clientY - 30}px`;
                 tooltipEl.innerHTML = `
-                    <strong>${data.rows[row]} × ${data.cols[col]}</strong><br>
+                    <strong>${cell.title || `${data.rows[row]} × ${data.cols[col]}`}</strong><br>
                     Accuracy: ${cell.accuracy}%<br>
                     Avg: ${cell.avgTime}s<br>
                     Attempts: ${cell.attempts}
@@ -1,16 +1,64 @@
 // QuantPerfector — Constants & Configuration
 
+import { parseFraction, fractionValue, lcm, gcd } from './fractions.js';
+
 export const OPERATIONS = {
-    add: { symbol: '+', name: 'Addition', commutative: true },
-    sub: { symbol: '\u2212', name: 'Subtraction', commutative: false },
-    mul: { symbol: '\u00D7', name: 'Multiplication', commutative: true },
-    div: { symbol: '\u00F7', name: 'Division', commutative: false }
+    add:  { symbol: '+', name: 'Addition', commutative: true, category: 'integer' },
+    sub:  { symbol: '\u2212', name: 'Subtraction', commutative: false, category: 'integer' },
+    mul:  { symbol: '\u00D7', name: 'Multiplication', commutative: true, category: 'integer' },
+    div:  { symbol: '\u00F7', name: 'Division', commutative: false, category: 'integer' },
+    pct:  { symbol: '%', name: 'Percent Of', commutative: false, category: 'decimal' },
+    dmul: { symbol: '\u00D7', name: 'Decimal Multiply', commutative: false, category: 'decimal' },
+    ddiv: { symbol: '\u00F7', name: 'Decimal Divide', commutative: false, category: 'decimal' },
+    // Non-exact division: divr is answered "q r n", divd with the quotient rounded to `places`
+    divr: { symbol: '\u00F7', name: 'Division with Remainder', commutative: false, category: 'integer', answer: 'remainder' },
+    divd: { symbol: '\u00F7', name: 'Rounded Division', commutative: false, category: 'decimal' },
+    // Fraction operands are "n/d" strings; answers are "n/d" unless `answer` says otherwise
+    fadd: { symbol: '+', name: 'Fraction Addition', commutative: true, category: 'fraction', answer: 'fraction' },
+    fsub: { symbol: '\u2212', name: 'Fraction Subtraction', commutative: false, category: 'fraction', answer: 'fraction' },
+    fmul: { symbol: '\u00D7', name: 'Fraction Multiply', commutative: true, category: 'fraction', answer: 'fraction' },
+    fdec: { symbol: '=', name: 'Fraction to Decimal', commutative: false, category: 'fraction', arity: 1 },
+    // Unary facts: operand A is the number shown (47 in 47², 3375 in ∛3375, 16 in 2¹⁶)
+    sq:   { symbol: '\u00B2', name: 'Squares', commutative: false, category: 'unary', arity: 1 },
+    sqrt: { symbol: '\u221A', name: 'Square Roots', commutative: false, category: 'unary', arity: 1 },
+    cube: { symbol: '\u00B3', name: 'Cubes', commutative: false, category: 'unary', arity: 1 },
+    cbrt: { symbol: '\u221B', name: 'Cube Roots', commutative: false, category: 'unary', arity: 1 },
+    pow2: { symbol: '2\u207F', name: 'Powers of Two', commutative: false, category: 'unary', arity: 1 },
+    // Chained expressions are keyed by shape (operators in evaluation order + range tier),
+    // operand A holds the shape and each problem carries its rendered `expression`
+    chain: { symbol: '( )', name: 'Chained Expressions', commutative: false, category: 'chain', arity: 1 },
+    // Estimation problems render with their `baseOperation` and are keyed by operand size
+    // ("est:mul:3x2"); they live outside operationRanges so they never enter the main pool
+    est:  { symbol: '\u2248', name: 'Estimation', commutative: false, category: 'estimate' }
 };
 
+// Binding strength for chained expressions — higher binds tighter
+export const PRECEDENCE = { add: 1, sub: 1, mul: 2, div: 2 };
+
+// Decimal answers are compared after rounding to this many places
+export const ANSWER_PRECISION = 4;
+
 export const DEFAULT_SETTINGS = {
     theme: 'dark',
     soundEnabled: true,
     timerSeconds: 10,
+    timerMode: 'fixed', // 'fixed' | 'adaptive' — see ADAPTIVE_TIMER
+    requireReducedFractions: false,
+    scheduler: 'sm2', // 'sm2' | 'fsrs' — see schedulers.js
+    fixedSeed: '',    // blank = fresh seed per session
+    missingOperandShare: 0, // share of add/sub/mul/div shown as "? × 7 = 56"
+    negativeShare: 0,       // share of add/sub/mul/div given signed operands ("−6 × 7")
+    progression: false, // offer wider ranges on mastery — see PROGRESSION
+    retireMastered: false, // mastered facts only return as spot checks — see MASTERY
+    practiceOrder: 'interleaved', // see PRACTICE_ORDERS
+    blockSize: 10,                // problems per operation in a block
+    estimation: {
+        tolerance: 0.05, // relative error still counted as correct
+        ranges: {
+            mul: { minA: 100, maxA: 999, minB: 10, maxB: 99 },
+            div: { minA: 1000, maxA: 9999, minB: 11, maxB: 99 }
+        }
+    },
     sessionDurations: {
         sprint: 120,
         flow: 900,
@@ -20,14 +68,61 @@ export const DEFAULT_SETTINGS = {
         add: { minA: 10, maxA: 99, minB: 10, maxB: 99, enabled: true },
         sub: { minA: 20, maxA: 99, minB: 10, maxB: 99, enabled: true },
         mul: { minA: 2, maxA: 12, minB: 2, maxB: 12, enabled: true },
-        div: { minA: 2, maxA: 12, minB: 2, maxB: 12, enabled: true }
+        div: { minA: 2, maxA: 12, minB: 2, maxB: 12, enabled: true },
+        // pct: A% of B
+        pct: { minA: 5, maxA: 50, minB: 20, maxB: 200, enabled: false },
+        // dmul / ddiv: A is an integer scaled down by `places` decimal places (35 → 0.35)
+        dmul: { minA: 1, maxA: 99, minB: 2, maxB: 99, places: 2, enabled: false },
+        ddiv: { minA: 1, maxA: 99, minB: 2, maxB: 9, places: 1, enabled: false },
+        // divr / divd: A is the dividend, B the divisor; exact divisions are left out
+        divr: { minA: 20, maxA: 199, minB: 3, maxB: 12, enabled: false },
+        divd: { minA: 10, maxA: 999, minB: 3, maxB: 19, places: 2, enabled: false },
+        // Fraction ops: A and B are the denominator ranges of the two operands
+        fadd: { minA: 2, maxA: 12, minB: 2, maxB: 12, enabled: false },
+        fsub: { minA: 2, maxA: 12, minB: 2, maxB: 12, enabled: false },
+        fmul: { minA: 2, maxA: 12, minB: 2, maxB: 12, enabled: false },
+        // fdec: denominators in range with a terminating decimal (2, 4, 5, 8, 10, 16, ...)
+        fdec: { minA: 2, maxA: 16, enabled: false },
+        // Unary ops: A is the base n — n², √(n²), n³, ∛(n³), 2ⁿ
+        sq:   { minA: 2, maxA: 99, enabled: false },
+        sqrt: { minA: 2, maxA: 30, enabled: false },
+        cube: { minA: 2, maxA: 20, enabled: false },
+        cbrt: { minA: 2, maxA: 20, enabled: false },
+        pow2: { minA: 1, maxA: 20, enabled: false },
+        // chain: operator count per expression; operands come from the enabled integer ranges
+        chain: { minSteps: 2, maxSteps: 3, enabled: false }
+    }
+};
+
+// Zetamac's default game, kept exact so scores compare: subtraction is an addition run
+// backwards and division a multiplication. Score = problems answered in the time.
+export const ZETAMAC = {
+    duration: 120,
+    ranges: {
+        add: { minA: 2, maxA: 100, minB: 2, maxB: 100 },
+        mul: { minA: 2, maxA: 12, minB: 2, maxB: 100 }
     }
 };
 
 export const SESSION_MODES = {
     sprint: { label: 'Sprint', duration: 120, warmupCount: 3, description: '2 min — quick burst' },
     flow:   { label: 'Flow',   duration: 900, warmupCount: 6, description: '15 min — build focus' },
-    deep:   { label: 'Deep',   duration: 1800, warmupCount: 8, description: '30 min — deep practice' }
+    deep:   { label: 'Deep',   duration: 1800, warmupCount: 8, description: '30 min — deep practice' },
+    estimate: { label: 'Estimate', duration: 300, warmupCount: 2, description: '5 min — ballpark big numbers', estimation: true },
+    zetamac:  { label: 'Zetamac', duration: ZETAMAC.duration, warmupCount: 0, description: '2 min — score = number correct', zetamac: true }
+};
+
+// Pacing every mode shares unless a custom mode says otherwise (see session-modes.js)
+export const SESSION_DEFAULTS = {
+    challengeAt: 0.8,                          // share of the session before the challenge phase
+    feedback: { correctMs: 300, wrongMs: 2000 } // pause before the next problem
+};
+
+// How operations follow each other within a session
+export const PRACTICE_ORDERS = {
+    interleaved: { label: 'Interleaved', description: 'operations mixed every problem' },
+    blocked:     { label: 'Blocked', description: 'a block of one operation, then the next' },
+    hybrid:      { label: 'Hybrid', description: 'short blocks through warmup, interleaved after' }
 };
 
 export const XP = {
@@ -41,6 +136,98 @@ export const XP = {
     STREAK_CAP: 20
 };
 
+// Hints revealed mid-problem, one step at a time. Each step costs a share of the XP
+// and caps the grade, so a fact answered with help isn't scheduled as known.
+export const HINTS = {
+    MAX_STEPS: 2,
+    XP_PENALTY: 0.35,        // share of XP lost per step
+    QUALITY_CAP: [5, 3, 2],  // by steps used
+    RECENT_WINDOW: 5         // a fact's latest attempts checked for hint use in stats
+};
+
+// Adaptive timer: limit = PERCENTILE of recent correct response times × FACTOR,
+// clamped to per-operation bounds (seconds)
+export const ADAPTIVE_TIMER = {
+    PERCENTILE: 0.75,
+    FACTOR: 1.5,
+    WINDOW: 40,      // most recent correct attempts considered
+    MIN_SAMPLES: 8,  // fewer than this falls back to the fixed timer
+    BOUNDS: {
+        default: { floor: 3, ceiling: 20 },
+        add:   { floor: 2, ceiling: 12 },
+        sub:   { floor: 2, ceiling: 15 },
+        mul:   { floor: 2, ceiling: 12 },
+        div:   { floor: 2, ceiling: 15 },
+        divr:  { floor: 4, ceiling: 25 },
+        divd:  { floor: 5, ceiling: 30 },
+        fadd:  { floor: 4, ceiling: 30 },
+        fsub:  { floor: 4, ceiling: 30 },
+        fmul:  { floor: 3, ceiling: 20 },
+        chain: { floor: 6, ceiling: 40 },
+        est:   { floor: 4, ceiling: 25 }
+    }
+};
+
+// Difficulty progression. A range counts as mastered when most of its pool has been
+// tried, accurately and quickly, and the scheduler is spacing it out.
+export const PROGRESSION = {
+    MIN_COVERAGE: 0.8,
+    MASTERY_ACCURACY: 0.9,
+    MASTERY_AVG_MS: 4000,
+    MIN_INTERVAL_DAYS: 3,
+    MIN_SPACED_SHARE: 0.5,
+    ROLLBACK_WINDOW: 40,       // attempts since the last widening
+    ROLLBACK_ACCURACY: 0.6,
+    ROLLBACK_COOLDOWN_DAYS: 7,
+    // Successive ranges; the next one is the first that widens without narrowing
+    TIERS: {
+        add:  [{ maxA: 99, maxB: 99 }, { maxA: 199, maxB: 99 }, { maxA: 499, maxB: 199 }, { maxA: 999, maxB: 999 }],
+        sub:  [{ maxA: 99, maxB: 99 }, { maxA: 199, maxB: 99 }, { maxA: 499, maxB: 199 }, { maxA: 999, maxB: 999 }],
+        mul:  [{ maxA: 12, maxB: 12 }, { maxA: 19, maxB: 12 }, { maxA: 19, maxB: 19 }, { maxA: 25, maxB: 19 },
+               { maxA: 25, maxB: 25 }, { maxA: 50, maxB: 25 }, { maxA: 99, maxB: 99 }],
+        div:  [{ maxA: 12, maxB: 12 }, { maxA: 19, maxB: 12 }, { maxA: 19, maxB: 19 }, { maxA: 25, maxB: 25 }],
+        sq:   [{ maxA: 25 }, { maxA: 50 }, { maxA: 99 }],
+        sqrt: [{ maxA: 15 }, { maxA: 20 }, { maxA: 30 }]
+    }
+};
+
+// A fact is mastered once the scheduler spaces it weeks out, the last few answers were
+// right and the latest was quick. With retirement on, mastered facts only come back as
+// occasional spot checks; a miss breaks the streak, so the fact is active again.
+export const MASTERY = {
+    MIN_INTERVAL_DAYS: 21,
+    MIN_STREAK: 3,
+    MAX_RESPONSE_MS: 2000,
+    SPOT_CHECK_SHARE: 0.05 // share of picks that revisit a retired fact
+};
+
+export function isFactMastered(record) {
+    return !!record &&
+        record.interval >= MASTERY.MIN_INTERVAL_DAYS &&
+        record.streak >= MASTERY.MIN_STREAK &&
+        record.lastResponseTimeMs !== null && record.lastResponseTimeMs <= MASTERY.MAX_RESPONSE_MS;
+}
+
+// Signs that an attempt was interrupted rather than slow: a time far off the fact's usual,
+// a pause or hidden page mid-problem, or a long stall once typing began. Interrupted
+// attempts still count, but their time stays out of speed stats and can't lower the schedule.
+export const INTERRUPTION = {
+    OUTLIER_FACTOR: 3,    // × the fact's average time
+    OUTLIER_MIN_MS: 5000, // nothing quicker than this is an outlier
+    MIN_HISTORY: 3,       // timed attempts before a fact's average is trusted
+    IDLE_MS: 8000         // no input for this long after the first keystroke
+};
+
+// Attempts whose time counts towards a record's speed
+export function timedAttempts(record) {
+    return record.totalAttempts - (record.interruptedAttempts || 0);
+}
+
+export function averageTimeMs(record) {
+    const timed = timedAttempts(record);
+    return timed > 0 ? record.totalTimeMs / timed : null;
+}
+
 export const SM2_DEFAULTS = {
     EASE_FACTOR: 2.5,
     MIN_EASE: 1.3,
@@ -49,6 +236,18 @@ export const SM2_DEFAULTS = {
     SECOND_INTERVAL: 3
 };
 
+// FSRS-4.5 default weights; retrievability R(t, S) = (1 + FACTOR · t / S) ^ DECAY
+export const FSRS_DEFAULTS = {
+    WEIGHTS: [0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+              0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755],
+    DECAY: -0.5,
+    FACTOR: 19 / 81,
+    REQUEST_RETENTION: 0.9,
+    MIN_DIFFICULTY: 1,
+    MAX_DIFFICULTY: 10,
+    MAX_INTERVAL: 365
+};
+
 export const STREAK_LEVELS = [
     { min: 0,  label: '',    css: '' },
     { min: 3,  label: '🔥',  css: 'level-2' },
@@ -80,6 +279,10 @@ export function generateHint(operation, a, b, correctAnswer) {
         return MANUAL_HINTS[key];
     }
 
+    if (SIGNED_OPS.includes(operation) && isSignedProblem(operation, a, b)) {
+        return generateSignedHint(operation, a, b, correctAnswer);
+    }
+
     switch (operation) {
         case 'mul': {
             if (a === 9 || b === 9) {
@@ -124,12 +327,338 @@ export function generateHint(operation, a, b, correctAnswer) {
         }
         case 'div':
             return `${a} ÷ ${b} → think: ${b} × ? = ${a} → ${b} × ${correctAnswer} = ${a}`;
+        case 'pct': {
+            // x% of y = y% of x — use it when the base is a friendly percentage
+            if (b <= 100 && b % 25 === 0) {
+                return `${a}% of ${b} = ${b}% of ${a} = ${correctAnswer}`;
+            }
+            const tenPct = roundTo(b / 10, ANSWER_PRECISION);
+            const onePct = roundTo(b / 100, ANSWER_PRECISION);
+            const tens = Math.floor(a / 10);
+            const ones = a % 10;
+            if (ones === 0) return `10% of ${b} = ${tenPct} → ${a}% = ${tens} × ${tenPct} = ${correctAnswer}`;
+            if (tens === 0) return `1% of ${b} = ${onePct} → ${a}% = ${ones} × ${onePct} = ${correctAnswer}`;
+            const tensPart = roundTo(tens * tenPct, ANSWER_PRECISION);
+            const onesPart = roundTo(ones * onePct, ANSWER_PRECISION);
+            return `${a}% of ${b} = ${tens * 10}% + ${ones}% = ${tensPart} + ${onesPart} = ${correctAnswer}`;
+        }
+        case 'dmul': {
+            const scale = Math.pow(10, decimalPlaces(a));
+            if (scale === 1) return `${a} × ${b} = ${correctAnswer}`;
+            const whole = Math.round(a * scale);
+            return `${a} × ${b} = ${whole} × ${b} ÷ ${scale} = ${whole * b} ÷ ${scale} = ${correctAnswer}`;
+        }
+        case 'ddiv': {
+            const scale = Math.pow(10, decimalPlaces(correctAnswer));
+            if (scale === 1) return `${a} ÷ ${b} → think: ${b} × ? = ${a} → ${b} × ${correctAnswer} = ${a}`;
+            const whole = Math.round(a * scale);
+            return `${a} ÷ ${b} = (${whole} ÷ ${b}) ÷ ${scale} = ${whole / b} ÷ ${scale} = ${correctAnswer}`;
+        }
+        case 'divr': {
+            const { q, r } = parseRemainderAnswer(correctAnswer);
+            return `${b} × ${q} = ${b * q} ≤ ${a}, ${a} − ${b * q} = ${r} → ${q} r ${r}`;
+        }
+        case 'divd': {
+            const q = Math.floor(a / b);
+            const r = a - b * q;
+            const places = decimalPlaces(correctAnswer);
+            // One extra digit shows which way the rounding went
+            const fraction = (r / b).toFixed(places + 1).replace(/^0/, '');
+            return `${a} ÷ ${b} = ${q} r ${r} → ${r}/${b} ≈ ${fraction} → ${q}${fraction} ≈ ${correctAnswer}`;
+        }
+        case 'fadd':
+        case 'fsub': {
+            const x = parseFraction(a);
+            const y = parseFraction(b);
+            const lcd = lcm(x.d, y.d);
+            const xn = x.n * (lcd / x.d);
+            const yn = y.n * (lcd / y.d);
+            const sum = operation === 'fadd' ? xn + yn : xn - yn;
+            const sym = getOperatorSymbol(operation);
+            const raw = `${sum}/${lcd}`;
+            const tail = raw === correctAnswer ? '' : ` = ${correctAnswer}`;
+            return `LCD ${lcd}: ${xn}/${lcd} ${sym} ${yn}/${lcd} = ${raw}${tail}`;
+        }
+        case 'fmul': {
+            const x = parseFraction(a);
+            const y = parseFraction(b);
+            const raw = `${x.n * y.n}/${x.d * y.d}`;
+            const g = gcd(x.n * y.n, x.d * y.d);
+            if (g === 1) return `(${x.n}×${y.n}) / (${x.d}×${y.d}) = ${raw}`;
+            return `(${x.n}×${y.n}) / (${x.d}×${y.d}) = ${raw} → ÷${g} → ${correctAnswer}`;
+        }
+        case 'fdec': {
+            const f = parseFraction(a);
+            let scale = 1;
+            while (scale % f.d !== 0) scale *= 10;
+            return `${a} = ${f.n * (scale / f.d)}/${scale} = ${correctAnswer}`;
+        }
+        case 'sq': {
+            // n5² → n×(n+1) followed by 25
+            if (a % 10 === 5 && a > 5) {
+                const t = Math.floor(a / 10);
+                return `${a}² → ${t} × ${t + 1} = ${t * (t + 1)}, then 25 → ${correctAnswer}`;
+            }
+            // (r ± d)² = r² ± 2rd + d² around the nearest multiple of 10
+            const r = Math.round(a / 10) * 10;
+            const d = a - r;
+            if (d === 0 || r === 0) return `${a}² = ${a} × ${a} = ${correctAnswer}`;
+            const sign = d > 0 ? '+' : '−';
+            const ad = Math.abs(d);
+            return `(${r} ${sign} ${ad})² = ${r * r} ${sign} ${2 * r * ad} + ${ad * ad} = ${correctAnswer}`;
+        }
+        case 'sqrt': {
+            const lo = Math.floor(correctAnswer / 10) * 10;
+            const ends = SQUARE_ROOT_ENDINGS[a % 10];
+            if (lo === 0 || !ends) return `√${a} → ${correctAnswer}² = ${a}`;
+            return `√${a}: ${lo}² = ${lo * lo} ≤ ${a} < ${(lo + 10) * (lo + 10)} = ${lo + 10}², ends in ${ends.join(' or ')} → ${correctAnswer}`;
+        }
+        case 'cube':
+            return `${a}³ = ${a}² × ${a} = ${a * a} × ${a} = ${correctAnswer}`;
+        case 'cbrt': {
+            // The last digit of a cube fixes the last digit of its root
+            const thousands = Math.floor(a / 1000);
+            const lastDigit = CUBE_ROOT_ENDINGS[a % 10];
+            if (thousands === 0) return `∛${a} → ${correctAnswer}³ = ${a}`;
+            const lead = Math.floor(correctAnswer / 10);
+            return `∛${a}: ${thousands} → ${lead}³ = ${lead ** 3} ≤ ${thousands}, last digit ${a % 10} → ${lastDigit} → ${correctAnswer}`;
+        }
+        case 'pow2':
+            if (a > 10) return `2${superscript(a)} = 2¹⁰ × 2${superscript(a - 10)} = 1024 × ${2 ** (a - 10)} = ${correctAnswer}`;
+            return `2${superscript(a)} = 2${superscript(a - 1)} × 2 = ${2 ** (a - 1)} × 2 = ${correctAnswer}`;
         default:
             return `= ${correctAnswer}`;
     }
 }
 
+// ─── Progressive hints ───
+
+/**
+ * Strategy hint split into steps that stop short of the answer: first the
+ * decomposition, then a partial result. Empty when there's nothing to show
+ * that wouldn't give the answer away.
+ */
+export function generateHintSteps(operation, a, b, correctAnswer) {
+    // A fact's own mnemonic goes first, when it can be given without the answer
+    const manual = MANUAL_HINTS[canonicalizeProblemKey(operation, a, b)];
+    if (manual) {
+        const cue = manual.includes(' — ') ? manual.split(' — ')[1] : manual.split(' → ')[0];
+        // Digits run together count too: "5, 6, 7, 8" spells out 56
+        if (!cue.replace(/\D/g, '').includes(String(correctAnswer))) {
+            const symbol = getOperatorSymbol(operation);
+            return [`${a} ${symbol} ${b}: ${cue}`, ...computedHintSteps(operation, a, b, correctAnswer)]
+                .slice(0, HINTS.MAX_STEPS);
+        }
+    }
+    return computedHintSteps(operation, a, b, correctAnswer);
+}
+
+function computedHintSteps(operation, a, b, correctAnswer) {
+    if (SIGNED_OPS.includes(operation) && isSignedProblem(operation, a, b)) {
+        return splitHintSteps(generateSignedHint(operation, a, b, correctAnswer), correctAnswer);
+    }
+
+    switch (operation) {
+        case 'mul': {
+            // The 9s trick only works up to 9 × 10
+            if ((a === 9 || b === 9) && (a === 9 ? b : a) <= 10) {
+                const other = a === 9 ? b : a;
+                return [
+                    `9 × ${other}: tens digit = ${other} − 1`,
+                    `9 × ${other}: tens digit = ${other - 1}, ones = 9 − ${other - 1}`
+                ];
+            }
+            if (a === 11 || b === 11) {
+                const other = a === 11 ? b : a;
+                const split = `11 × ${other} = (10 × ${other}) + ${other}`;
+                return [split, `${split} = ${10 * other} + ${other}`];
+            }
+            const larger = Math.max(a, b);
+            const smaller = Math.min(a, b);
+            if (larger > 10) {
+                const tens = Math.floor(larger / 10) * 10;
+                const ones = larger - tens;
+                const split = `${larger} × ${smaller} = (${tens}×${smaller}) + (${ones}×${smaller})`;
+                return [split, `${split} = ${tens * smaller} + ${ones * smaller}`];
+            }
+            if (a === 5 || b === 5) {
+                const other = a === 5 ? b : a;
+                return [`5 × ${other} = ${other} × 10 ÷ 2`, `5 × ${other} = ${other * 10} ÷ 2`];
+            }
+            // Times tables: one group fewer, then add it back
+            if (smaller < 2) return [];
+            const split = `${larger} × ${smaller} = ${larger} × ${smaller - 1} + ${larger}`;
+            return [split, `${split} = ${larger * (smaller - 1)} + ${larger}`];
+        }
+        case 'add':
+        case 'sub': {
+            const sym = getOperatorSymbol(operation);
+            const rounded = Math.round(b / 10) * 10;
+            const diff = b - rounded;
+            if (diff === 0) {
+                // Round numbers: peel off a's ones and work in tens
+                const aTens = Math.floor(a / 10) * 10;
+                const aOnes = a - aTens;
+                if (aOnes === 0 || aTens === 0) return [];
+                const split = `${a} ${sym} ${b} = (${aTens} ${sym} ${b}) + ${aOnes}`;
+                const partial = operation === 'add' ? aTens + b : aTens - b;
+                return [split, `${split} = ${partial} + ${aOnes}`];
+            }
+            // Round b, then correct: adding b's excess back or taking it away
+            const adjust = operation === 'add'
+                ? (diff > 0 ? `+ ${diff}` : `− ${-diff}`)
+                : (diff > 0 ? `− ${diff}` : `+ ${-diff}`);
+            const split = `${a} ${sym} ${b} = ${a} ${sym} ${rounded} ${adjust}`;
+            const partial = operation === 'add' ? a + rounded : a - rounded;
+            return [split, `${split} = ${partial} ${adjust}`];
+        }
+        case 'div': {
+            const think = `${a} ÷ ${b} → think: ${b} × ? = ${a}`;
+            const below = correctAnswer - 1;
+            if (below < 1) return [think];
+            return [think, `${think} → ${b} × ${below} = ${b * below}, ${a} − ${b * below} = ${a - b * below}`];
+        }
+        case 'divr': {
+            const { q } = parseRemainderAnswer(correctAnswer);
+            const think = `${a} ÷ ${b} → largest ${b} × ? ≤ ${a}`;
+            return [think, `${think} → ${b} × ${q} = ${b * q}`];
+        }
+        default:
+            return splitHintSteps(generateHint(operation, a, b, correctAnswer), correctAnswer);
+    }
+}
+
+/**
+ * Steps from a worked hint ("x = y = z = answer"): the first link, then the
+ * whole chain up to the result. Steps that would show the answer are dropped.
+ */
+export function splitHintSteps(hint, correctAnswer) {
+    const parts = hint.split(/( = | → )/);
+    const answer = typeof correctAnswer === 'number' ? String(Math.abs(correctAnswer)) : String(correctAnswer);
+    while (parts.length > 1 && parts[parts.length - 1].trim().replace(/^[−-]/, '') === answer) {
+        parts.splice(-2, 2);
+    }
+    // The first segment restates the problem, so only later ones can reveal
+    const escaped = answer.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    const reveals = new RegExp(`(^|[^\\d./])${escaped}(?![\\d./])`);
+    const steps = [];
+    for (const end of [Math.min(3, parts.length), parts.length]) {
+        const step = parts.slice(0, end).join('');
+        if (!step.trim() || steps.includes(step)) continue;
+        if (parts.slice(end === 1 ? 0 : 2, end).some(p => reveals.test(p))) continue;
+        steps.push(step);
+    }
+    return steps;
+}
+
+// ─── Signed arithmetic ───
+
+// Operations whose ranges may go negative and that take the negative-share setting
+export const SIGNED_OPS = ['add', 'sub', 'mul', 'div'];
+
+export function isSignedProblem(operation, a, b) {
+    return a < 0 || b < 0 || (operation === 'sub' && a < b);
+}
+
+/** Typographic minus for display ("−7"); non-numbers pass through. */
+export function formatSigned(value) {
+    return typeof value === 'number' && value < 0 ? `\u2212${-value}` : `${value}`;
+}
+
+// A negative right-hand operand is bracketed: "7 − (−3)"
+function bracketed(value) {
+    return typeof value === 'number' && value < 0 ? `(${formatSigned(value)})` : `${value}`;
+}
+
+// Settle the sign first, then do the arithmetic on magnitudes
+function generateSignedHint(operation, a, b, correctAnswer) {
+    const answer = formatSigned(correctAnswer);
+    if (operation === 'mul' || operation === 'div') {
+        const sym = getOperatorSymbol(operation);
+        const sign = (a < 0) !== (b < 0) ? '−' : '+';
+        const magnitude = Math.abs(correctAnswer);
+        return `signs: ${a < 0 ? '−' : '+'} ${sym} ${b < 0 ? '−' : '+'} = ${sign}, ${Math.abs(a)} ${sym} ${Math.abs(b)} = ${magnitude} → ${answer}`;
+    }
+
+    // Subtraction is adding the opposite
+    const addend = operation === 'sub' ? -b : b;
+    const rewrite = operation === 'sub'
+        ? `${formatSigned(a)} − ${bracketed(b)} = ${formatSigned(a)} + ${bracketed(addend)}: `
+        : '';
+    if ((a < 0) === (addend < 0) || a === 0 || addend === 0) {
+        return `${rewrite}same signs, add ${Math.abs(a)} + ${Math.abs(addend)} and keep the sign → ${answer}`;
+    }
+    const [big, small] = Math.abs(a) >= Math.abs(addend) ? [a, addend] : [addend, a];
+    return `${rewrite}${Math.abs(big)} − ${Math.abs(small)} = ${Math.abs(correctAnswer)}, sign of ${formatSigned(big)} → ${answer}`;
+}
+
+// ─── Missing-operand format ("? × 7 = 56") ───
+
+// Operations offered with a hidden operand; `format` is '?a' or '?b'
+export const MISSING_OPERAND_OPS = ['add', 'sub', 'mul', 'div'];
+
+/**
+ * Key for a missing-operand variant, separate from the forward fact. For commutative
+ * ops only the hidden value matters ("? × 7 = 56" and "7 × ? = 56" are one fact).
+ */
+export function missingOperandKey(operation, a, b, format) {
+    if (OPERATIONS[operation].commutative) {
+        const [known, hidden] = format === '?a' ? [b, a] : [a, b];
+        return canonicalizeProblemKey(`${operation}?`, known, hidden);
+    }
+    return canonicalizeProblemKey(`${operation}${format}`, a, b);
+}
+
+// Inverse recall means undoing the operation: each hint names the inverse to use
+export function generateMissingOperandHint(operation, a, b, format) {
+    const hidden = format === '?a' ? a : b;
+    const known = format === '?a' ? b : a;
+    switch (operation) {
+        case 'add':
+            return `? = ${a + b} − ${known} = ${hidden}`;
+        case 'mul':
+            return `? = ${a * b} ÷ ${known} = ${hidden}`;
+        case 'sub':
+            return format === '?a'
+                ? `? − ${b} = ${a - b} → ? = ${a - b} + ${b} = ${a}`
+                : `${a} − ? = ${a - b} → ? = ${a} − ${a - b} = ${b}`;
+        case 'div':
+            return format === '?a'
+                ? `? ÷ ${b} = ${a / b} → ? = ${a / b} × ${b} = ${a}`
+                : `${a} ÷ ? = ${a / b} → ? = ${a} ÷ ${a / b} = ${b}`;
+        default:
+            return `? = ${hidden}`;
+    }
+}
+
+// Last digit of n² → possible last digits of n
+const SQUARE_ROOT_ENDINGS = { 0: [0], 1: [1, 9], 4: [2, 8], 5: [5], 6: [4, 6], 9: [3, 7] };
+
+// Last digit of n³ → last digit of n
+const CUBE_ROOT_ENDINGS = { 0: 0, 1: 1, 2: 8, 3: 7, 4: 4, 5: 5, 6: 6, 7: 3, 8: 2, 9: 9 };
+
+const SUPERSCRIPT_DIGITS = ['⁰', '¹', '²', '³', '⁴', '⁵', '⁶', '⁷', '⁸', '⁹'];
+
+export function superscript(n) {
+    return String(n).split('').map(ch => SUPERSCRIPT_DIGITS[ch] ?? ch).join('');
+}
+
+// Chain shapes look like "mul-sub:2d" (keyed as "chain:mul-sub:2d")
+export function parseChainShape(shape) {
+    const [ops, rangeTag] = shape.split(':');
+    return { ops: ops.split('-'), rangeTag };
+}
+
+export function formatChainSteps(steps) {
+    return steps.map(s => `${s.text} = ${s.result}`).join(' → ');
+}
+
 export function canonicalizeProblemKey(operation, a, b) {
+    if (b === null || b === undefined) return `${operation}:${a}`;
+    if (OPERATIONS[operation]?.category === 'fraction' && OPERATIONS[operation].commutative) {
+        const [lo, hi] = fractionValue(parseFraction(a)) <= fractionValue(parseFraction(b)) ? [a, b] : [b, a];
+        return `${operation}:${lo}x${hi}`;
+    }
     if (operation === 'add' || operation === 'mul') {
         const lo = Math.min(a, b);
         const hi = Math.max(a, b);
@@ -142,6 +671,58 @@ export function getOperatorSymbol(operation) {
     return OPERATIONS[operation]?.symbol || '?';
 }
 
+// Left operand, operator and right operand as displayed text ("17%", "of", "340")
+export function problemParts(operation, a, b) {
+    if (operation === 'pct') return [`${a}%`, 'of', `${b}`];
+    switch (operation) {
+        case 'sq':   return [`${a}²`, '', ''];
+        case 'sqrt': return [`√${a}`, '', ''];
+        case 'cube': return [`${a}³`, '', ''];
+        case 'cbrt': return [`∛${a}`, '', ''];
+        case 'pow2': return [`2${superscript(a)}`, '', ''];
+    }
+    if (OPERATIONS[operation]?.arity === 1) return [`${a}`, '', ''];
+    return [formatSigned(a), getOperatorSymbol(operation), bracketed(b)];
+}
+
+// 'fraction' answers are typed as numerator/denominator; everything else is a number
+export function getAnswerMode(operation) {
+    return OPERATIONS[operation]?.answer || 'number';
+}
+
+export function roundTo(value, places) {
+    const scale = Math.pow(10, places);
+    return Math.round(value * scale) / scale;
+}
+
+export function decimalPlaces(value) {
+    const str = String(value);
+    const dot = str.indexOf('.');
+    return dot === -1 ? 0 : str.length - dot - 1;
+}
+
+export function answersMatch(userAnswer, correctAnswer, places = ANSWER_PRECISION) {
+    if (userAnswer === null || userAnswer === undefined || isNaN(userAnswer)) return false;
+    return roundTo(userAnswer, places) === roundTo(correctAnswer, places);
+}
+
+export function formatRemainderAnswer(q, r) {
+    return `${q} r ${r}`;
+}
+
+/** Parse "14 r 3" (spaces optional). Returns { q, r } or null. */
+export function parseRemainderAnswer(text) {
+    const match = /^\s*(\d+)\s*r\s*(\d+)\s*$/.exec(String(text));
+    if (!match) return null;
+    return { q: parseInt(match[1], 10), r: parseInt(match[2], 10) };
+}
+
+export function remainderAnswersMatch(userAnswer, correctAnswer) {
+    const given = parseRemainderAnswer(userAnswer);
+    const target = parseRemainderAnswer(correctAnswer);
+    return !!given && !!target && given.q === target.q && given.r === target.r;
+}
+
 export function getLevel(totalXP) {
     return Math.floor(Math.sqrt(totalXP / 50)) + 1;
 }
@@ -159,7 +740,8 @@ export function xpProgress(totalXP) {
     return (totalXP - currentLevelXP) / range;
 }
 
-export function calculateXP(isCorrect, responseTimeMs, timerLimitMs, currentStreak) {
+// closeness: 1 for exact answers; estimates scale down toward 0 at the tolerance edge
+export function calculateXP(isCorrect, responseTimeMs, timerLimitMs, currentStreak, closeness = 1, hintsUsed = 0) {
     if (!isCorrect) return 0;
     let xp = XP.BASE;
     const speedRatio = responseTimeMs / timerLimitMs;
@@ -169,6 +751,19 @@ export function calculateXP(isCorrect, responseTimeMs, timerLimitMs, currentStre
             break;
         }
     }
+    xp = Math.round(xp * (0.5 + 0.5 * closeness));
     xp += Math.min(XP.STREAK_CAP, currentStreak * XP.STREAK_MULTIPLIER);
+    if (hintsUsed > 0) xp = Math.round(xp * Math.max(0, 1 - hintsUsed * HINTS.XP_PENALTY));
     return xp;
 }
+
+/** Relative error of an estimate, and how close it landed inside the tolerance (1 = exact, 0 = at the edge). */
+export function scoreEstimate(userAnswer, correctAnswer, tolerance) {
+    const error = Math.abs(userAnswer - correctAnswer) / Math.abs(correctAnswer);
+    return {
+        error,
+        errorPct: error * 100,
+        isCorrect: error <= tolerance,
+        closeness: Math.max(0, 1 - error / tolerance)
+    };
+}
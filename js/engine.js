@@ -1,198 +1,1143 @@
-// QuantPerfector — Problem Engine (SM-2, interleaving, problem generation)
-
-import { canonicalizeProblemKey, SM2_DEFAULTS } from './constants.js';
-import { getProblemRecord, saveProblemRecord, createProblemRecord, getAllProblemRecords, getSettings } from './storage.js';
-
-// ─── SM-2 Algorithm ───
-
-export function gradeResponse(isCorrect, responseTimeMs, timerLimitMs, timedOut) {
+// QuantPerfector — Problem Engine (scheduling, interleaving, problem generation)
+//
+// The engine never touches storage or the DOM. Records, settings, randomness and time
+// are handed to createEngine, so the app and headless runs share the same engine.
+
+import { OPERATIONS, PRECEDENCE, canonicalizeProblemKey, parseChainShape, getOperatorSymbol,
+         roundTo, formatRemainderAnswer, SM2_DEFAULTS, ADAPTIVE_TIMER, MISSING_OPERAND_OPS,
+         missingOperandKey, SIGNED_OPS, MASTERY, isFactMastered, INTERRUPTION, timedAttempts,
+         averageTimeMs, HINTS, ZETAMAC } from './constants.js';
+import { getScheduler, today, daysBetween } from './schedulers.js';
+import { random, createRng } from './random.js';
+import { classifySkills, summarizeSkills, attemptSkills } from './skills.js';
+import { itemAnswer, itemKey, setOperations } from './problem-sets.js';
+import { makeFraction, reduceFraction, formatFraction, fractionValue, isReduced, isTerminating, gcd,
+         addFractions, subtractFractions, multiplyFractions } from './fractions.js';
+
+// ─── Grading & Records ───
+
+// Quality 0–5 on the SM-2 scale; every scheduler takes this as input
+
+export function gradeResponse(isCorrect, responseTimeMs, timerLimitMs, timedOut, closeness = 1, interrupted = false,
+                              hintsUsed = 0) {
     if (timedOut) return 0;
     if (!isCorrect) return 1;
-    const ratio = responseTimeMs / timerLimitMs;
-    if (ratio <= 0.25) return 5;
-    if (ratio <= 0.50) return 4;
-    return 3;
+    // The time of an interrupted answer says nothing, so it grades as plainly good
+    const ratio = interrupted ? 0.5 : responseTimeMs / timerLimitMs;
+    let quality = 3;
+    if (ratio <= 0.25) quality = 5;
+    else if (ratio <= 0.50) quality = 4;
+    // A rough estimate can't earn top marks however fast it was
+    if (closeness < 0.5) quality = Math.min(quality, 3);
+    else if (closeness < 0.8) quality = Math.min(quality, 4);
+    // Answered with help: at best shaky, and a partial result means it isn't known yet
+    if (hintsUsed > 0) quality = Math.min(quality, HINTS.QUALITY_CAP[Math.min(hintsUsed, HINTS.MAX_STEPS)]);
+    return quality;
 }
 
-function addDays(dateStr, days) {
-    const d = dateStr ? new Date(dateStr) : new Date();
-    d.setDate(d.getDate() + days);
-    return d.toISOString().split('T')[0];
+export function createProblemRecord(key, operation, a, b, answer) {
+    return {
+        key,
+        operation,
+        operandA: a,
+        operandB: b,
+        correctAnswer: answer,
+        easeFactor: SM2_DEFAULTS.EASE_FACTOR,
+        interval: 0,
+        repetitions: 0,
+        nextReviewDate: null,
+        lastReviewDate: null,
+        stability: null,  // FSRS only
+        difficulty: null, // FSRS only
+        totalAttempts: 0,
+        totalCorrect: 0,
+        totalTimeMs: 0,
+        lastAttemptDate: null,
+        lastResponseTimeMs: null,
+        interruptedAttempts: 0, // counted, but their time is left out of totalTimeMs
+        streak: 0,
+        bestStreak: 0
+    };
 }
 
-function today() {
-    return new Date().toISOString().split('T')[0];
+// Far slower than this fact usually takes — more likely a distraction than a struggle
+function isOutlierTime(record, responseTimeMs) {
+    if (timedAttempts(record) < INTERRUPTION.MIN_HISTORY) return false;
+    return responseTimeMs > Math.max(INTERRUPTION.OUTLIER_MIN_MS, averageTimeMs(record) * INTERRUPTION.OUTLIER_FACTOR);
 }
 
-export function updateSM2(record, quality) {
-    if (quality >= 3) {
-        if (record.repetitions === 0) {
-            record.interval = SM2_DEFAULTS.INITIAL_INTERVAL;
-        } else if (record.repetitions === 1) {
-            record.interval = SM2_DEFAULTS.SECOND_INTERVAL;
+// ─── Engine ───
+
+/**
+ * An engine over an injected record store and settings provider.
+ *
+ *   store    — getRecord(key), getAllRecords() → { key: record }, saveRecord(record),
+ *              saveRecords(records), deleteRecords(keys), getAttempts() → attempt log,
+ *              getProblemSets() → stored custom sets
+ *   settings — () → the current settings object
+ *   rng      — () → uniform in [0, 1); defaults to the seedable session stream
+ *   clock    — { now() } → epoch ms; defaults to Date
+ *
+ * `next()` picks a problem, `answer()` grades and schedules it, `pool()` is the
+ * current candidate pool (see `buildPool()`).
+ */
+export function createEngine({ store, settings: currentSettings, rng = random, clock = Date }) {
+
+    // ─── Scheduling ───
+
+    function todayStr() {
+        return today(new Date(clock.now()));
+    }
+
+    /**
+     * Count an attempt and reschedule. An interrupted one keeps its time out of the
+     * record, and an interrupted timeout leaves the streak and schedule alone.
+     */
+    function recordAttempt(record, isCorrect, responseTimeMs, timerLimitMs, timedOut, closeness = 1, interrupted = false,
+                           hintsUsed = 0) {
+        const lostTimeout = interrupted && timedOut;
+        const quality = lostTimeout ? null
+            : gradeResponse(isCorrect, responseTimeMs, timerLimitMs, timedOut, closeness, interrupted, hintsUsed);
+
+        record.totalAttempts += 1;
+        record.lastAttemptDate = new Date(clock.now()).toISOString();
+        if (interrupted) {
+            record.interruptedAttempts = (record.interruptedAttempts || 0) + 1;
         } else {
-            record.interval = Math.round(record.interval * record.easeFactor);
+            record.totalTimeMs += responseTimeMs;
+            record.lastResponseTimeMs = responseTimeMs;
         }
-        record.repetitions += 1;
-    } else {
-        record.repetitions = 0;
-        record.interval = 0;
+
+        if (isCorrect) {
+            record.totalCorrect += 1;
+            record.streak += 1;
+            if (record.streak > record.bestStreak) record.bestStreak = record.streak;
+        } else if (!lostTimeout) {
+            record.streak = 0;
+        }
+
+        if (!lostTimeout) getScheduler(currentSettings().scheduler).update(record, quality, todayStr());
+        store.saveRecord(record);
+        reindexKey(record.key, record);
+
+        return { quality, record };
     }
 
-    record.easeFactor = record.easeFactor +
-        (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+    /**
+     * Grade an answer to `problem` and reschedule its record (created on the first
+     * attempt). Also counts towards the session for the following picks. `interrupted`
+     * is the caller's own evidence of a distraction; an outlier time against the fact's
+     * history counts too. `hintsUsed` caps the grade. Returns { quality, record, interrupted }.
+     */
+    function answer(problem, { isCorrect, responseTimeMs, timeLimitMs, timedOut = false, closeness = 1, interrupted = false,
+                               hintsUsed = 0 }) {
+        let record = store.getRecord(problem.key);
+        if (!record) {
+            record = createProblemRecord(problem.key, problem.operation, problem.a, problem.b, problem.answer);
+            if (problem.format) record.format = problem.format;
+        }
+        const wasInterrupted = interrupted || (!timedOut && isOutlierTime(record, responseTimeMs));
+        const result = recordAttempt(record, isCorrect, responseTimeMs, timeLimitMs, timedOut, closeness, wasInterrupted,
+            hintsUsed);
+        trackSessionAttempt(problem.key, problem.operation, isCorrect);
+        return { ...result, interrupted: wasInterrupted };
+    }
 
-    record.easeFactor = Math.max(SM2_DEFAULTS.MIN_EASE, Math.min(SM2_DEFAULTS.MAX_EASE, record.easeFactor));
-    record.nextReviewDate = addDays(today(), record.interval);
+    // Bring every stored record into the given scheduler's state after the user switches
+    function convertRecords(schedulerId) {
+        const scheduler = getScheduler(schedulerId);
+        const records = Object.values(store.getAllRecords());
+        for (const record of records) scheduler.convert(record);
+        store.saveRecords(records);
+        invalidateSelectionIndex();
+    }
 
-    return record;
-}
+    // ─── Time Limits ───
+
+    /**
+     * Per-problem time limit. Fixed mode uses `timerSeconds`; adaptive mode takes the
+     * user's recent response times for the problem's most specific skill with enough
+     * history (else its operation) and clamps p75 × factor to the operation's bounds.
+     */
+    // `timer` ({ mode, seconds }) stands in for the timer settings, e.g. for a custom session mode
+    function getTimeLimitMs(problem, timer = null) {
+        const settings = currentSettings();
+        const fixedMs = (timer?.seconds ?? settings.timerSeconds) * 1000;
+        if ((timer?.mode ?? settings.timerMode) !== 'adaptive') return fixedMs;
+
+        const { PERCENTILE, FACTOR, WINDOW, MIN_SAMPLES, BOUNDS } = ADAPTIVE_TIMER;
+        const attempts = store.getAttempts();
+        let times = [];
+        for (const skill of [...(problem.skills || [])].reverse()) {
+            times = recentResponseTimes(attempts, problem.operation, skill, WINDOW);
+            if (times.length >= MIN_SAMPLES) break;
+        }
+        if (times.length < MIN_SAMPLES) times = recentResponseTimes(attempts, problem.operation, null, WINDOW);
 
-export function recordAttempt(record, isCorrect, responseTimeMs, timerLimitMs, timedOut) {
-    const quality = gradeResponse(isCorrect, responseTimeMs, timerLimitMs, timedOut);
+        const bounds = BOUNDS[problem.operation] || BOUNDS.default;
+        const limitMs = times.length >= MIN_SAMPLES ? percentile(times, PERCENTILE) * FACTOR : fixedMs;
+        return Math.round(Math.max(bounds.floor * 1000, Math.min(bounds.ceiling * 1000, limitMs)) / 100) * 100;
+    }
 
-    record.totalAttempts += 1;
-    record.totalTimeMs += responseTimeMs;
-    record.lastAttemptDate = new Date().toISOString();
-    record.lastResponseTimeMs = responseTimeMs;
+    // ─── Problem Pool ───
 
-    if (isCorrect) {
-        record.totalCorrect += 1;
-        record.streak += 1;
-        if (record.streak > record.bestStreak) record.bestStreak = record.streak;
-    } else {
-        record.streak = 0;
+    // In-memory pool — the full set of candidate problems
+    let currentPool = [];
+
+    function ensureRecord(operation, a, b, answer) {
+        const key = canonicalizeProblemKey(operation, a, b);
+        let rec = store.getRecord(key);
+        if (!rec) {
+            rec = createProblemRecord(key, operation, a, b, answer);
+            // Don't persist yet — only persist when the user actually attempts it
+        }
+        return rec;
     }
 
-    updateSM2(record, quality);
-    saveProblemRecord(record.key, record);
+    // A custom problem set, while active, replaces operationRanges as the pool's source
+    let activeSet = null;
 
-    return { quality, record };
-}
+    function setProblemSet(set) {
+        activeSet = set;
+    }
 
-// ─── Problem Pool ───
+    // A custom mode's operation mix ({ op: percent }), while active, picks the operations
+    // in place of the enabled ranges and the practice order
+    let operationMix = null;
 
-// In-memory pool — the full set of candidate problems
-let currentPool = [];
+    function setOperationMix(mix) {
+        operationMix = mix;
+    }
 
-function ensureRecord(operation, a, b, answer) {
-    const key = canonicalizeProblemKey(operation, a, b);
-    let rec = getProblemRecord(key);
-    if (!rec) {
-        rec = createProblemRecord(key, operation, a, b, answer);
-        // Don't persist yet — only persist when the user actually attempts it
+    function sessionOperations(settings) {
+        if (operationMix) return Object.keys(operationMix).filter(op => operationMix[op] > 0 && settings.operationRanges[op]);
+        return Object.keys(settings.operationRanges).filter(op => settings.operationRanges[op].enabled);
+    }
+
+    function buildProblemPool() {
+        const settings = currentSettings();
+        currentPool = [];
+        refreshSkillWeakness();
+        invalidateSelectionIndex();
+
+        if (activeSet) {
+            for (const item of activeSet.items) {
+                currentPool.push(ensureRecord(item.operation, item.a, item.b, itemAnswer(item)));
+            }
+            return currentPool;
+        }
+
+        const ops = sessionOperations(settings);
+        for (const op of Object.keys(settings.operationRanges)) {
+            const range = settings.operationRanges[op];
+            if (!ops.includes(op)) continue;
+
+            if (op === 'mul') {
+                for (let a = range.minA; a <= range.maxA; a++) {
+                    for (let b = range.minB; b <= range.maxB; b++) {
+                        // b × a was already added when both orders fall inside the ranges
+                        if (b < a && b >= range.minA && a <= range.maxB) continue;
+                        currentPool.push(ensureRecord('mul', a, b, a * b));
+                    }
+                }
+            } else if (op === 'div') {
+                for (let divisor = range.minB; divisor <= range.maxB; divisor++) {
+                    if (divisor === 0) continue;
+                    for (let quotient = range.minA; quotient <= range.maxA; quotient++) {
+                        const dividend = divisor * quotient;
+                        currentPool.push(ensureRecord('div', dividend, divisor, quotient));
+                    }
+                }
+            } else if (op === 'add') {
+                const problems = generateRangeProblems('add', range);
+                foldIntoCatalog('add', problems);
+                for (const p of problems) {
+                    currentPool.push(ensureRecord('add', p.a, p.b, p.a + p.b));
+                }
+            } else if (op === 'sub') {
+                const problems = generateRangeProblems('sub', range);
+                foldIntoCatalog('sub', problems);
+                for (const p of problems) {
+                    currentPool.push(ensureRecord('sub', p.a, p.b, p.a - p.b));
+                }
+            } else if (op === 'pct' || op === 'dmul' || op === 'ddiv') {
+                const problems = generateRangeProblems(op, range);
+                for (const p of problems) {
+                    const d = makeDecimalProblem(op, p.a, p.b, range.places);
+                    currentPool.push(ensureRecord(op, d.a, d.b, d.answer));
+                }
+            } else if (op === 'divr' || op === 'divd') {
+                for (const p of generateRangeProblems(op, range)) {
+                    currentPool.push(ensureRecord(op, p.a, p.b, nonExactAnswer(op, p.a, p.b, range.places)));
+                }
+            } else if (OPERATIONS[op]?.category === 'unary') {
+                for (let n = range.minA; n <= range.maxA; n++) {
+                    const u = makeUnaryProblem(op, n);
+                    currentPool.push(ensureRecord(op, u.a, null, u.answer));
+                }
+            } else if (op === 'chain') {
+                for (const shape of enumerateChainShapes(settings)) {
+                    currentPool.push(ensureRecord('chain', shape, null, null));
+                }
+            } else if (op === 'fdec') {
+                for (let d = Math.max(2, range.minA); d <= range.maxA; d++) {
+                    if (!isTerminating(d)) continue;
+                    for (const n of coprimeNumerators(d)) {
+                        const f = fractionToDecimalProblem(makeFraction(n, d));
+                        currentPool.push(ensureRecord(op, f.a, f.b, f.answer));
+                    }
+                }
+            } else if (op === 'fadd' || op === 'fsub' || op === 'fmul') {
+                // One problem per denominator pair (unordered for commutative ops), seeded by
+                // the pair so every build lists the same one and its history stays in one record
+                const seenPairs = new Set();
+                for (let da = Math.max(2, range.minA); da <= range.maxA; da++) {
+                    for (let db = Math.max(2, range.minB); db <= range.maxB; db++) {
+                        const pair = op === 'fsub' ? `${da}/${db}` : `${Math.min(da, db)}/${Math.max(da, db)}`;
+                        if (seenPairs.has(pair)) continue;
+                        seenPairs.add(pair);
+                        const f = makeFractionProblem(op, da, db, createRng(`${op}:${pair}`));
+                        currentPool.push(ensureRecord(op, f.a, f.b, f.answer));
+                    }
+                }
+            }
+        }
+
+        // Missing-operand variants are made from forward picks, then keep a schedule of
+        // their own: the ones it says are due come back as themselves
+        if (settings.missingOperandShare > 0) {
+            const date = todayStr();
+            for (const rec of Object.values(store.getAllRecords())) {
+                if (rec.format && ops.includes(rec.operation) && rec.nextReviewDate && rec.nextReviewDate <= date) {
+                    currentPool.push(rec);
+                }
+            }
+        }
+
+        return currentPool;
+    }
+
+    /**
+     * Fold one-off records from before the stable catalog (and from edge buckets whose
+     * catalog moved with a range change) into the nearest catalog problem of the same
+     * bucket. Totals add up; the schedule follows whichever was practised more recently.
+     * Problems listed in a custom set are kept as they are.
+     */
+    function foldIntoCatalog(operation, catalog) {
+        const records = store.getAllRecords();
+        const keep = new Set(catalog.map(p => canonicalizeProblemKey(operation, p.a, p.b)));
+        for (const set of store.getProblemSets()) {
+            for (const item of set.items) keep.add(itemKey(item));
+        }
+        const targets = new Map();
+        const folded = [];
+
+        for (const rec of Object.values(records)) {
+            // Missing-operand variants share the operation but are facts of their own
+            if (rec.operation !== operation || rec.format || keep.has(rec.key)) continue;
+            const target = nearestInBucket(operation, catalog, rec.operandA, rec.operandB);
+            if (!target) continue; // outside the current ranges — leave it be
+
+            const key = canonicalizeProblemKey(operation, target.a, target.b);
+            if (!targets.has(key)) {
+                const answer = operation === 'add' ? target.a + target.b : target.a - target.b;
+                targets.set(key, store.getRecord(key) || createProblemRecord(key, operation, target.a, target.b, answer));
+            }
+            mergeRecordInto(targets.get(key), rec);
+            folded.push(rec.key);
+        }
+
+        if (folded.length === 0) return;
+        store.saveRecords([...targets.values()]);
+        store.deleteRecords(folded);
+    }
+
+    // ─── Random generation ───
+
+    function randInt(min, max) {
+        return Math.floor(rng() * (max - min + 1)) + min;
+    }
+
+    // Right-hand operand for the next step, chosen so every intermediate result stays a
+    // non-negative integer. Returns null when the current value can't take this operator.
+    function pickChainOperand(op, value, range) {
+        switch (op) {
+            case 'add':
+                return randInt(range.minB, range.maxB);
+            case 'sub':
+                if (value < range.minB) return null;
+                return randInt(range.minB, Math.min(range.maxB, value));
+            case 'mul':
+                return randInt(range.minB, range.maxB);
+            case 'div': {
+                if (value === 0) return null;
+                const divisors = [];
+                for (let d = Math.max(2, range.minB); d <= Math.min(range.maxB, value); d++) {
+                    if (value % d === 0) divisors.push(d);
+                }
+                return divisors.length > 0 ? divisors[randInt(0, divisors.length - 1)] : null;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Build a concrete expression for a shape, e.g. "mul-sub:2d" → "14 × 6 − 37".
+     * Operators are applied left to right; the running expression is parenthesized
+     * when the next operator binds tighter than the last one. Each step's
+     * sub-result is kept for feedback.
+     */
+    function buildChainProblem(shape) {
+        const settings = currentSettings();
+        const { ops } = parseChainShape(shape);
+
+        for (let attempt = 0; attempt < 20; attempt++) {
+            const first = randomProblem(ops[0], chainRange(ops[0], settings.operationRanges[ops[0]]));
+            let value = first.answer;
+            let text = `${first.a} ${getOperatorSymbol(ops[0])} ${first.b}`;
+            const steps = [{ text, result: value }];
+            let lastOp = ops[0];
+            let ok = true;
+
+            for (const op of ops.slice(1)) {
+                const operand = pickChainOperand(op, value, chainRange(op, settings.operationRanges[op]));
+                if (operand === null) { ok = false; break; }
+                const stepText = `${value} ${getOperatorSymbol(op)} ${operand}`;
+                value = applyChainOp(op, value, operand);
+                text = `${PRECEDENCE[op] > PRECEDENCE[lastOp] ? `(${text})` : text} ${getOperatorSymbol(op)} ${operand}`;
+                steps.push({ text: stepText, result: value });
+                lastOp = op;
+            }
+
+            if (ok) {
+                return { operation: 'chain', a: shape, b: null, answer: value, key: canonicalizeProblemKey('chain', shape, null),
+                         expression: text, steps };
+            }
+        }
+        return null;
     }
-    return rec;
-}
 
-export function buildProblemPool() {
-    const settings = getSettings();
-    currentPool = [];
+    // Keyed by operand size ("est:mul:3x2") — exact estimation problems rarely repeat
+    function generateEstimationProblem() {
+        const { ranges } = currentSettings().estimation;
+        const ops = Object.keys(ranges);
+        const baseOperation = ops[randInt(0, ops.length - 1)];
+        const range = ranges[baseOperation];
+        const a = randInt(range.minA, range.maxA);
+        const b = randInt(range.minB, range.maxB);
+        const answer = baseOperation === 'mul' ? a * b : roundTo(a / b, 2);
+        const shape = `${baseOperation}:${String(a).length}x${String(b).length}`;
+        return withSkills({ operation: 'est', baseOperation, a, b, answer, key: canonicalizeProblemKey('est', shape, null), estimate: true });
+    }
 
-    for (const op of ['add', 'sub', 'mul', 'div']) {
-        const range = settings.operationRanges[op];
-        if (!range.enabled) continue;
+    // Zetamac's four operations, evenly; the pool and ranges play no part
+    function generateZetamacProblem() {
+        const operation = ['add', 'sub', 'mul', 'div'][randInt(0, 3)];
+        const range = operation === 'add' || operation === 'sub' ? ZETAMAC.ranges.add : ZETAMAC.ranges.mul;
+        const a = randInt(range.minA, range.maxA);
+        const b = randInt(range.minB, range.maxB);
+        switch (operation) {
+            case 'add': return withSkills({ operation, a, b, answer: a + b, key: canonicalizeProblemKey('add', a, b) });
+            case 'sub': return withSkills({ operation, a: a + b, b: a, answer: b, key: canonicalizeProblemKey('sub', a + b, a) });
+            case 'mul': return withSkills({ operation, a, b, answer: a * b, key: canonicalizeProblemKey('mul', a, b) });
+            default:    return withSkills({ operation, a: a * b, b: a, answer: b, key: canonicalizeProblemKey('div', a * b, a) });
+        }
+    }
+
+    function randomProperFraction(d, pick = rng) {
+        const numerators = coprimeNumerators(d);
+        return makeFraction(numerators[Math.floor(pick() * numerators.length)], d);
+    }
 
-        if (op === 'mul') {
-            for (let a = range.minA; a <= range.maxA; a++) {
-                for (let b = a; b <= range.maxB; b++) {
-                    currentPool.push(ensureRecord('mul', a, b, a * b));
+    // Operands are reduced proper fractions; results that still need reducing are
+    // preferred so the reduction step gets practiced. `pick` is the random source.
+    function makeFractionProblem(operation, da, db, pick = rng) {
+        const combine = { fadd: addFractions, fsub: subtractFractions, fmul: multiplyFractions }[operation];
+        let x, y, raw;
+        for (let tries = 0; tries < 10; tries++) {
+            x = randomProperFraction(da, pick);
+            y = randomProperFraction(db, pick);
+            if (operation === 'fsub' && fractionValue(x) < fractionValue(y)) [x, y] = [y, x];
+            raw = combine(x, y);
+            if (raw.n !== 0 && !isReduced(raw)) break;
+        }
+        return { a: formatFraction(x), b: formatFraction(y), answer: formatFraction(reduceFraction(raw)) };
+    }
+
+    // On-the-fly problems, for add/sub with large ranges and as a fallback
+    function generateRandomProblem(operation) {
+        const problem = randomProblem(operation);
+        return problem && maybeSigned(withSkills(problem), currentSettings());
+    }
+
+    // `range` stands in for the operation's range from settings, e.g. for a chain step
+    function randomProblem(operation, range = currentSettings().operationRanges[operation]) {
+        const settings = currentSettings();
+
+        const a = randInt(range.minA, range.maxA);
+        const b = randInt(range.minB, range.maxB);
+
+        switch (operation) {
+            case 'add':
+                return { operation, a, b, answer: a + b, key: canonicalizeProblemKey('add', a, b) };
+            case 'sub': {
+                if (a === b) return randomProblem('sub', range); // avoid 0
+                if (isSignedRange(range)) {
+                    return { operation, a, b, answer: a - b, key: canonicalizeProblemKey('sub', a, b) };
                 }
+                const big = Math.max(a, b);
+                const small = Math.min(a, b);
+                return { operation, a: big, b: small, answer: big - small, key: canonicalizeProblemKey('sub', big, small) };
+            }
+            case 'mul':
+                return { operation, a, b, answer: a * b, key: canonicalizeProblemKey('mul', a, b) };
+            case 'div': {
+                let divisor = randInt(range.minB, range.maxB);
+                if (divisor === 0) divisor = range.maxB > 0 ? 1 : -1;
+                const quotient = randInt(range.minA, range.maxA);
+                const dividend = divisor * quotient;
+                return { operation, a: dividend, b: divisor, answer: quotient, key: canonicalizeProblemKey('div', dividend, divisor) };
             }
-        } else if (op === 'div') {
-            for (let divisor = range.minB; divisor <= range.maxB; divisor++) {
-                for (let quotient = range.minA; quotient <= range.maxA; quotient++) {
-                    const dividend = divisor * quotient;
-                    currentPool.push(ensureRecord('div', dividend, divisor, quotient));
+            case 'pct':
+            case 'dmul':
+            case 'ddiv': {
+                const d = makeDecimalProblem(operation, a, b, range.places);
+                return { operation, a: d.a, b: d.b, answer: d.answer, key: canonicalizeProblemKey(operation, d.a, d.b) };
+            }
+            case 'divr':
+            case 'divd': {
+                let [dividend, divisor] = [a, b];
+                for (let tries = 0; !isNonExactPair(operation, dividend, divisor) && tries < 20; tries++) {
+                    dividend = randInt(range.minA, range.maxA);
+                    divisor = randInt(range.minB, range.maxB);
                 }
+                if (!isNonExactPair(operation, dividend, divisor)) return null;
+                return {
+                    operation, a: dividend, b: divisor,
+                    answer: nonExactAnswer(operation, dividend, divisor, range.places),
+                    key: canonicalizeProblemKey(operation, dividend, divisor)
+                };
+            }
+            case 'fadd':
+            case 'fsub':
+            case 'fmul': {
+                const f = makeFractionProblem(operation, Math.max(2, a), Math.max(2, b));
+                return { operation, a: f.a, b: f.b, answer: f.answer, key: canonicalizeProblemKey(operation, f.a, f.b) };
+            }
+            case 'sq':
+            case 'sqrt':
+            case 'cube':
+            case 'cbrt':
+            case 'pow2': {
+                const u = makeUnaryProblem(operation, a);
+                return { operation, a: u.a, b: null, answer: u.answer, key: canonicalizeProblemKey(operation, u.a, null) };
+            }
+            case 'chain': {
+                const ops = chainableOps(settings);
+                if (ops.length === 0) return null;
+                const { min, max } = chainStepBounds(settings);
+                const seq = Array.from({ length: randInt(min, max) }, () => ops[randInt(0, ops.length - 1)]);
+                return buildChainProblem(`${seq.join('-')}:${chainRangeTag(seq, settings)}`);
             }
-        } else if (op === 'add') {
-            const problems = generateRangeProblems('add', range);
-            for (const p of problems) {
-                currentPool.push(ensureRecord('add', p.a, p.b, p.a + p.b));
+            case 'fdec': {
+                const denominators = [];
+                for (let d = Math.max(2, range.minA); d <= range.maxA; d++) {
+                    if (isTerminating(d)) denominators.push(d);
+                }
+                const d = denominators.length > 0 ? denominators[randInt(0, denominators.length - 1)] : 2;
+                const f = fractionToDecimalProblem(randomProperFraction(d));
+                return { operation, a: f.a, b: f.b, answer: f.answer, key: canonicalizeProblemKey(operation, f.a, f.b) };
             }
-        } else if (op === 'sub') {
-            const problems = generateRangeProblems('sub', range);
-            for (const p of problems) {
-                currentPool.push(ensureRecord('sub', p.a, p.b, p.a - p.b));
+        }
+    }
+
+    // With the negative share set, unsigned add/sub/mul/div picks are turned into signed
+    // ones on the fly. Like missing-operand variants they get their own keys.
+    function maybeSigned(problem, settings) {
+        if (!(settings.negativeShare > 0) || problem.format || !SIGNED_OPS.includes(problem.operation)) return problem;
+        if (problem.a < 0 || problem.b < 0) return problem;
+        if (rng() >= settings.negativeShare) return problem;
+        return toSigned(problem);
+    }
+
+    // Negate one operand or both; subtraction may instead swap so the result goes negative
+    function toSigned(problem) {
+        let { operation, a, b } = problem;
+        const choice = randInt(0, operation === 'sub' ? 3 : 2);
+        if (choice === 0) a = -a;
+        else if (choice === 1) b = -b;
+        else if (choice === 2) [a, b] = [-a, -b];
+        else [a, b] = [b, a];
+        return withSkills({ operation, a, b, answer: FORWARD[operation](a, b), key: canonicalizeProblemKey(operation, a, b) });
+    }
+
+    function maybeMissingOperand(problem, settings) {
+        if (!problem.format && MISSING_OPERAND_OPS.includes(problem.operation) &&
+            rng() < settings.missingOperandShare) {
+            return toMissingOperand(problem, rng() < 0.5 ? '?a' : '?b');
+        }
+        return problem;
+    }
+
+    // Chain records stand for a shape, so each pick builds a fresh expression — null
+    // when the current ranges can't complete one
+    function problemFromRecord(record) {
+        if (record.operation === 'chain') {
+            const chain = buildChainProblem(record.operandA);
+            return chain && withSkills(chain);
+        }
+        if (record.format) {
+            const answer = FORWARD[record.operation](record.operandA, record.operandB);
+            return toMissingOperand({ operation: record.operation, a: record.operandA, b: record.operandB, answer },
+                record.format);
+        }
+        // The rounding precision is a setting, so a stored divd answer may be out of date
+        const answer = record.operation === 'divd'
+            ? nonExactAnswer('divd', record.operandA, record.operandB, currentSettings().operationRanges.divd.places)
+            : record.correctAnswer;
+        return withSkills({
+            operation: record.operation,
+            a: record.operandA,
+            b: record.operandB,
+            answer,
+            key: record.key
+        });
+    }
+
+    // Weighted pick of a candidate's problem; a chain shape that can't be built is passed
+    // over, so the record that was picked is the one that gets credited
+    function pickProblem(candidates) {
+        const remaining = [...candidates];
+        while (remaining.length > 0) {
+            const selected = weightedRandom(remaining);
+            const problem = problemFromRecord(selected.record);
+            if (problem) return problem;
+            remaining.splice(remaining.indexOf(selected), 1);
+        }
+        return null;
+    }
+
+    function weightedRandom(items) {
+        const totalWeight = items.reduce((sum, item) => sum + Math.max(1, item.score), 0);
+        let r = rng() * totalWeight;
+        for (const item of items) {
+            r -= Math.max(1, item.score);
+            if (r <= 0) return item;
+        }
+        return items[items.length - 1];
+    }
+
+    // ─── Skills ───
+
+    // Per-skill weakness (0–1), snapshotted when the pool is built so scores stay
+    // stable through a session
+    let skillWeakness = {};
+
+    function refreshSkillWeakness() {
+        skillWeakness = {};
+        for (const s of summarizeSkills(store.getAttempts())) {
+            if (s.attempts >= SKILL_MIN_ATTEMPTS) skillWeakness[s.skill] = 1 - s.accuracy;
+        }
+    }
+
+    function scoringFor(scheduler) {
+        return { scheduler, date: todayStr(), skillWeakness };
+    }
+
+    // ─── Session Tracking ───
+
+    // What priority needs from the current session, kept up to date per answer instead
+    // of rescanning the attempt list for every record
+    const session = createSession();
+
+    function resetSessionTracking({ warmupCount = 0 } = {}) {
+        Object.assign(session, createSession(warmupCount));
+    }
+
+    function trackSessionAttempt(key, operation, isCorrect) {
+        if (!isCorrect) session.wrong.set(key, (session.wrong.get(key) || 0) + 1);
+        session.lastSeen.set(key, session.total);
+        session.opCounts.set(operation, (session.opCounts.get(operation) || 0) + 1);
+        session.run = operation === session.lastOp ? session.run + 1 : 1;
+        session.lastOp = operation;
+        session.total += 1;
+    }
+
+    // ─── Selection Index ───
+
+    // Pool entries grouped by operation and kept sorted by their session-free score, so a
+    // pick only scores the head of each list plus the few records seen this session.
+    // Entries are re-scored when their record changes, and the whole index is rebuilt
+    // with the pool, on a new day, or on a scheduler switch.
+    let selectionIndex = null;
+
+    function buildSelectionIndex(schedulerId) {
+        const scoring = scoringFor(getScheduler(schedulerId));
+        const persisted = store.getAllRecords();
+        const index = { date: scoring.date, schedulerId, scoring, byOp: new Map(), byKey: new Map() };
+
+        currentPool.forEach((poolRecord, order) => {
+            const entry = { order, poolRecord, record: null, base: 0, easy: false, hard: false, mastered: false };
+            scoreEntry(index, entry, persisted[poolRecord.key] || poolRecord);
+            if (!index.byOp.has(poolRecord.operation)) index.byOp.set(poolRecord.operation, []);
+            index.byOp.get(poolRecord.operation).push(entry);
+            if (!index.byKey.has(poolRecord.key)) index.byKey.set(poolRecord.key, []);
+            index.byKey.get(poolRecord.key).push(entry);
+        });
+        for (const entries of index.byOp.values()) entries.sort(compareEntries);
+        return index;
+    }
+
+    // Re-score one key's entries and move them to their new place in the order
+    function reindexKey(key, record) {
+        const entries = selectionIndex?.byKey.get(key);
+        if (!entries) return;
+        for (const entry of entries) {
+            const list = selectionIndex.byOp.get(entry.poolRecord.operation);
+            list.splice(list.indexOf(entry), 1);
+            scoreEntry(selectionIndex, entry, record);
+            let lo = 0;
+            let hi = list.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (compareEntries(list[mid], entry) < 0) lo = mid + 1;
+                else hi = mid;
             }
+            list.splice(lo, 0, entry);
         }
     }
 
-    return currentPool;
+    function currentSelectionIndex(settings) {
+        if (!selectionIndex || selectionIndex.date !== todayStr() || selectionIndex.schedulerId !== settings.scheduler) {
+            selectionIndex = buildSelectionIndex(settings.scheduler);
+            return selectionIndex;
+        }
+        // Records replaced behind our back (sync, import) — cheap identity check, no scoring
+        const persisted = store.getAllRecords();
+        for (const [key, entries] of selectionIndex.byKey) {
+            const record = persisted[key] || entries[0].poolRecord;
+            if (record !== entries[0].record) reindexKey(key, record);
+        }
+        return selectionIndex;
+    }
+
+    function invalidateSelectionIndex() {
+        selectionIndex = null;
+    }
+
+    // ─── Problem Selection ───
+
+    function selectNextProblem(phase = 'core') {
+        const settings = currentSettings();
+        const enabledOps = activeSet ? setOperations(activeSet) : sessionOperations(settings);
+
+        if (enabledOps.length === 0) return null;
+
+        const index = currentSelectionIndex(settings);
+        const lists = enabledOps.map(op => [op, index.byOp.get(op) || []]);
+
+        if (lists.every(([, list]) => list.length === 0)) {
+            // Absolute fallback
+            const op = enabledOps[Math.floor(rng() * enabledOps.length)];
+            return generateRandomProblem(op);
+        }
+
+        // Retirement: mastered facts sit out, apart from the odd spot check
+        let active = () => true;
+        if (settings.retireMastered) {
+            active = e => !e.mastered;
+            if (!lists.some(([, list]) => list.some(active)) || rng() < MASTERY.SPOT_CHECK_SHARE) {
+                const check = selectSpotCheck(lists);
+                if (check) return check;
+            }
+        }
+
+        // Phase-based filtering
+        let accepts = active;
+        if (phase === 'warmup') {
+            // Prefer easy or new problems
+            if (countEntries(lists, e => active(e) && e.easy) >= 5) accepts = e => active(e) && e.easy;
+        } else if (phase === 'challenge') {
+            // Prefer hard problems — ones user has struggled with
+            if (countEntries(lists, e => active(e) && e.hard) >= 3) accepts = e => active(e) && e.hard;
+        }
+
+        const byOp = new Map(lists);
+        const hasCandidates = op => byOp.get(op).some(accepts);
+        const weights = operationMix && !activeSet
+            ? mixWeights(operationMix, enabledOps, hasCandidates, session)
+            : operationWeights(practiceOrderFor(settings, phase), enabledOps, hasCandidates, session,
+                { balance: true, blockSize: blockSizeFor(settings, phase, enabledOps.length, session.warmupCount) });
+
+        // Each operation's best few, plus anything the session has touched, covers the top 10
+        const scored = [];
+        for (const [op, list] of lists) {
+            const weight = weights.get(op);
+            if (!weight) continue;
+            let taken = 0;
+            for (const entry of list) {
+                if (taken >= SELECTION_TOP) break;
+                if (!accepts(entry) || session.lastSeen.has(entry.poolRecord.key)) continue;
+                scored.push({ record: entry.record, order: entry.order, score: weight(entry.base) });
+                taken++;
+            }
+        }
+        for (const key of session.lastSeen.keys()) {
+            for (const entry of index.byKey.get(key) || []) {
+                const weight = weights.get(entry.poolRecord.operation);
+                if (!weight || !accepts(entry)) continue;
+                const score = calculatePriority(entry.record, session, index.scoring);
+                scored.push({ record: entry.record, order: entry.order, score: weight(score) });
+            }
+        }
+
+        // Weighted random from top 10
+        scored.sort((a, b) => b.score - a.score || a.order - b.order);
+        const top = scored.slice(0, Math.min(SELECTION_TOP, scored.length));
+        const problem = pickProblem(top);
+
+        // A set's problems are practised exactly as listed
+        if (activeSet || !problem) return problem;
+
+        return maybeMissingOperand(maybeSigned(problem, settings), settings);
+    }
+
+    // A retired fact as it was learned, favouring the ones the scheduler most wants back
+    function selectSpotCheck(lists) {
+        const candidates = [];
+        for (const [, list] of lists) {
+            let taken = 0;
+            for (const entry of list) {
+                if (taken >= SELECTION_TOP) break;
+                if (!entry.mastered || session.lastSeen.has(entry.poolRecord.key)) continue;
+                candidates.push({ record: entry.record, order: entry.order, score: entry.base });
+                taken++;
+            }
+        }
+        if (candidates.length === 0) return null;
+
+        candidates.sort((a, b) => b.score - a.score || a.order - b.order);
+        const problem = pickProblem(candidates.slice(0, SELECTION_TOP));
+        if (problem) problem.spotCheck = true;
+        return problem;
+    }
+
+    // ─── Mistake Drill ───
+
+    function getDrillProblems() {
+        const allRecords = store.getAllRecords();
+        const settings = currentSettings();
+        const enabledOps = Object.keys(settings.operationRanges).filter(op => settings.operationRanges[op].enabled);
+
+        return Object.values(allRecords).filter(r => {
+            if (!enabledOps.includes(r.operation)) return false;
+            if (r.totalAttempts < 2) return false;
+            const acc = r.totalCorrect / r.totalAttempts;
+            return acc < 0.7 || r.easeFactor < 1.8;
+        }).sort((a, b) => {
+            const accA = a.totalCorrect / a.totalAttempts;
+            const accB = b.totalCorrect / b.totalAttempts;
+            return accA - accB; // Worst first
+        });
+    }
+
+    function selectDrillProblem(drillPool) {
+        if (drillPool.length === 0) return null;
+
+        const settings = currentSettings();
+        const scoring = scoringFor(getScheduler(settings.scheduler));
+        const ops = [...new Set(drillPool.map(r => r.operation))];
+        const weights = operationWeights(practiceOrderFor(settings, null), ops, () => true, session,
+            { balance: false, blockSize: settings.blockSize });
+
+        const scored = [];
+        for (const r of drillPool) {
+            const weight = weights.get(r.operation);
+            if (weight) scored.push({ record: r, score: weight(calculatePriority(r, session, scoring)) });
+        }
+        scored.sort((a, b) => b.score - a.score);
+        const top = scored.slice(0, Math.min(8, scored.length));
+        const problem = pickProblem(top);
+
+        return problem && maybeMissingOperand(maybeSigned(problem, settings), settings);
+    }
+
+    return {
+        next: selectNextProblem,
+        answer,
+        pool: () => currentPool,
+        buildPool: buildProblemPool,
+        startSession: resetSessionTracking,
+        setProblemSet,
+        problemSet: () => activeSet,
+        setOperationMix,
+        randomProblem: generateRandomProblem,
+        estimationProblem: generateEstimationProblem,
+        zetamacProblem: generateZetamacProblem,
+        drillProblems: getDrillProblems,
+        nextDrill: selectDrillProblem,
+        timeLimitMs: getTimeLimitMs,
+        convertRecords
+    };
+}
+
+// ─── In-memory store ───
+
+/** A store that lives only in memory, for simulations and scripted runs. */
+export function createMemoryStore(records = {}, attempts = [], sets = []) {
+    return {
+        getRecord: key => records[key] || null,
+        getAllRecords: () => records,
+        saveRecord: record => { records[record.key] = record; },
+        saveRecords: list => { for (const record of list) records[record.key] = record; },
+        deleteRecords: keys => { for (const key of keys) delete records[key]; },
+        getAttempts: () => attempts,
+        getProblemSets: () => sets,
+        logAttempt: attempt => { attempts.push(attempt); }
+    };
 }
 
-export function getPool() {
-    return currentPool;
+// ─── Adaptive timer helpers ───
+
+/** Most recent correct response times (ms) for an operation, optionally narrowed to a skill. */
+function recentResponseTimes(attempts, operation, skill = null, limit = 40) {
+    const times = [];
+    for (let i = attempts.length - 1; i >= 0 && times.length < limit; i--) {
+        const a = attempts[i];
+        if (a.operation !== operation || !a.isCorrect || a.timedOut || a.interrupted) continue;
+        if (skill && !attemptSkills(a).includes(skill)) continue;
+        times.push(a.responseTimeMs);
+    }
+    return times;
+}
+
+// Linear-interpolated percentile, p in [0, 1]
+function percentile(values, p) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const idx = (sorted.length - 1) * p;
+    const lo = Math.floor(idx);
+    const hi = Math.ceil(idx);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+// ─── Range catalog ───
+
+// Ranged ops (add/sub and the decimal ops) are too large to enumerate, so each 10×10
+// bucket gets a small catalog. The picks are seeded by the bucket, not the session, so
+// the same problems come back on every build and their records accumulate history.
+const CATALOG_BUCKET_SIZE = 10;
+const CATALOG_PER_BUCKET = 3;
+
+function bucketOf(n) {
+    return Math.floor(n / CATALOG_BUCKET_SIZE);
 }
 
 function generateRangeProblems(operation, range) {
     const problems = [];
-    const bucketSize = 10;
-
-    for (let tensA = Math.floor(range.minA / bucketSize); tensA <= Math.floor(range.maxA / bucketSize); tensA++) {
-        for (let tensB = Math.floor(range.minB / bucketSize); tensB <= Math.floor(range.maxB / bucketSize); tensB++) {
-            // Generate a few representative problems per bucket
-            for (let i = 0; i < 3; i++) {
-                const a = Math.min(range.maxA, tensA * bucketSize + Math.floor(Math.random() * bucketSize));
-                const b = Math.min(range.maxB, tensB * bucketSize + Math.floor(Math.random() * bucketSize));
-                if (a < range.minA || b < range.minB) continue;
-                if (operation === 'sub' && a <= b) continue;
-                problems.push({ a, b });
-            }
+
+    for (let tensA = bucketOf(range.minA); tensA <= bucketOf(range.maxA); tensA++) {
+        for (let tensB = bucketOf(range.minB); tensB <= bucketOf(range.maxB); tensB++) {
+            problems.push(...catalogBucket(operation, range, tensA, tensB));
         }
     }
 
     return problems;
 }
 
-// ─── On-the-fly problem generation (for add/sub with large ranges) ───
+function catalogBucket(operation, range, tensA, tensB) {
+    const loA = Math.max(range.minA, tensA * CATALOG_BUCKET_SIZE);
+    const hiA = Math.min(range.maxA, tensA * CATALOG_BUCKET_SIZE + CATALOG_BUCKET_SIZE - 1);
+    const loB = Math.max(range.minB, tensB * CATALOG_BUCKET_SIZE);
+    const hiB = Math.min(range.maxB, tensB * CATALOG_BUCKET_SIZE + CATALOG_BUCKET_SIZE - 1);
+    if (loA > hiA || loB > hiB) return [];
+
+    const rng = createRng(`${operation}:${tensA}:${tensB}`);
+    const picks = [];
+    const seen = new Set();
+    for (let tries = 0; picks.length < CATALOG_PER_BUCKET && tries < 20; tries++) {
+        const a = loA + Math.floor(rng() * (hiA - loA + 1));
+        const b = loB + Math.floor(rng() * (hiB - loB + 1));
+        // Signed ranges want negative differences; otherwise keep them positive
+        if (operation === 'sub' && (isSignedRange(range) ? a === b : a <= b)) continue;
+        if (!isNonExactPair(operation, a, b)) continue;
+        if (seen.has(`${a}x${b}`)) continue;
+        seen.add(`${a}x${b}`);
+        picks.push({ a, b });
+    }
+    return picks;
+}
+
+// Fields that describe where a record is in its review schedule
+const SCHEDULE_FIELDS = ['easeFactor', 'interval', 'repetitions', 'nextReviewDate', 'lastReviewDate',
+    'stability', 'difficulty', 'streak', 'lastAttemptDate', 'lastResponseTimeMs'];
+
+function nearestInBucket(operation, catalog, a, b) {
+    // Addition keys are order-free, so a record may sit in the mirrored bucket
+    const orientations = operation === 'add' ? [[a, b], [b, a]] : [[a, b]];
+    let best = null;
+    let bestDist = Infinity;
+    for (const [x, y] of orientations) {
+        for (const p of catalog) {
+            if (bucketOf(p.a) !== bucketOf(x) || bucketOf(p.b) !== bucketOf(y)) continue;
+            const dist = Math.abs(p.a - x) + Math.abs(p.b - y);
+            if (dist < bestDist) {
+                best = p;
+                bestDist = dist;
+            }
+        }
+    }
+    return best;
+}
+
+function mergeRecordInto(target, source) {
+    if (source.lastAttemptDate && (!target.lastAttemptDate || source.lastAttemptDate > target.lastAttemptDate)) {
+        for (const field of SCHEDULE_FIELDS) {
+            if (source[field] !== undefined) target[field] = source[field];
+        }
+    }
+    target.totalAttempts += source.totalAttempts || 0;
+    target.totalCorrect += source.totalCorrect || 0;
+    target.totalTimeMs += source.totalTimeMs || 0;
+    target.interruptedAttempts = (target.interruptedAttempts || 0) + (source.interruptedAttempts || 0);
+    target.bestStreak = Math.max(target.bestStreak || 0, source.bestStreak || 0);
+}
 
-export function generateRandomProblem(operation) {
-    const settings = getSettings();
-    const range = settings.operationRanges[operation];
+function isSignedRange(range) {
+    return range.minA < 0 || range.minB < 0;
+}
 
-    const a = randInt(range.minA, range.maxA);
-    const b = randInt(range.minB, range.maxB);
+// Chains stay non-negative throughout, so they take only the non-negative part of a
+// signed range (and divide by at least 1)
+function chainRange(op, range) {
+    const floorB = op === 'div' ? 1 : 0;
+    return {
+        ...range,
+        minA: Math.max(0, range.minA),
+        maxA: Math.max(0, range.maxA),
+        minB: Math.max(floorB, range.minB),
+        maxB: Math.max(floorB, range.maxB)
+    };
+}
+
+// divr/divd only make sense when the division doesn't come out even (and divr needs q ≥ 1)
+function isNonExactPair(operation, a, b) {
+    if (operation === 'divr') return a > b && a % b !== 0;
+    if (operation === 'divd') return a % b !== 0;
+    return true;
+}
 
+function nonExactAnswer(operation, a, b, places = 0) {
+    if (operation === 'divr') return formatRemainderAnswer(Math.floor(a / b), a % b);
+    return roundTo(a / b, places);
+}
+
+// Decimal operations are generated from integers to keep the arithmetic exact:
+// pct takes A as a whole percentage, dmul/ddiv scale A down by `places` digits.
+function makeDecimalProblem(operation, aInt, b, places = 0) {
+    const scale = Math.pow(10, places);
     switch (operation) {
-        case 'add':
-            return { operation, a, b, answer: a + b, key: canonicalizeProblemKey('add', a, b) };
-        case 'sub': {
-            const big = Math.max(a, b);
-            const small = Math.min(a, b);
-            if (big === small) return generateRandomProblem('sub'); // avoid 0
-            return { operation, a: big, b: small, answer: big - small, key: canonicalizeProblemKey('sub', big, small) };
-        }
-        case 'mul':
-            return { operation, a, b, answer: a * b, key: canonicalizeProblemKey('mul', a, b) };
-        case 'div': {
-            const divisor = randInt(range.minB, range.maxB);
-            const quotient = randInt(range.minA, range.maxA);
-            const dividend = divisor * quotient;
-            return { operation, a: dividend, b: divisor, answer: quotient, key: canonicalizeProblemKey('div', dividend, divisor) };
-        }
+        case 'pct':
+            return { a: aInt, b, answer: roundTo(aInt * b / 100, 2) };
+        case 'dmul':
+            return { a: roundTo(aInt / scale, places), b, answer: roundTo(aInt * b / scale, places) };
+        case 'ddiv':
+            // A is the quotient; the dividend is built from it so the division is exact
+            return { a: roundTo(aInt * b / scale, places), b, answer: roundTo(aInt / scale, places) };
     }
 }
 
-function randInt(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+// ─── Unary facts (powers and roots) ───
+
+// n is the base: the answer for roots, the operand for powers
+function makeUnaryProblem(operation, n) {
+    switch (operation) {
+        case 'sq':   return { a: n, answer: n * n };
+        case 'sqrt': return { a: n * n, answer: n };
+        case 'cube': return { a: n, answer: n * n * n };
+        case 'cbrt': return { a: n * n * n, answer: n };
+        case 'pow2': return { a: n, answer: 2 ** n };
+    }
+}
+
+// ─── Chained expressions ───
+
+const CHAIN_OPS = ['add', 'sub', 'mul', 'div'];
+
+function chainableOps(settings) {
+    return CHAIN_OPS.filter(op => settings.operationRanges[op]?.enabled);
+}
+
+function chainStepBounds(settings) {
+    const range = settings.operationRanges.chain;
+    const min = Math.min(3, Math.max(2, range.minSteps));
+    return { min, max: Math.min(3, Math.max(min, range.maxSteps)) };
+}
+
+// Size tier of the operands, e.g. "2d" when every bound has at most two digits
+function chainRangeTag(ops, settings) {
+    const bounds = ops.flatMap(op => [settings.operationRanges[op].maxA, settings.operationRanges[op].maxB]);
+    return `${String(Math.max(...bounds.map(Math.abs))).length}d`;
+}
+
+function enumerateChainShapes(settings) {
+    const ops = chainableOps(settings);
+    if (ops.length === 0) return [];
+    const { min, max } = chainStepBounds(settings);
+
+    const shapes = [];
+    let sequences = ops.map(op => [op]);
+    for (let len = 2; len <= max; len++) {
+        sequences = sequences.flatMap(seq => ops.map(op => [...seq, op]));
+        if (len < min) continue;
+        for (const seq of sequences) shapes.push(`${seq.join('-')}:${chainRangeTag(seq, settings)}`);
+    }
+    return shapes;
+}
+
+function applyChainOp(op, x, y) {
+    switch (op) {
+        case 'add': return x + y;
+        case 'sub': return x - y;
+        case 'mul': return x * y;
+        case 'div': return x / y;
+    }
+}
+
+// ─── Fraction problems ───
+
+function coprimeNumerators(d) {
+    const result = [];
+    for (let n = 1; n < d; n++) {
+        if (gcd(n, d) === 1) result.push(n);
+    }
+    return result;
+}
+
+function fractionToDecimalProblem(f) {
+    return { a: formatFraction(f), b: null, answer: roundTo(fractionValue(f), 6) };
 }
 
 // ─── Priority Scoring ───
 
-function calculatePriority(record, sessionAttempts, totalSessionProblems) {
+/**
+ * How urgently a record should come up. `session` holds this session's counts (see
+ * createSession); `scoring` is the scheduler, today's date and the skill weaknesses.
+ */
+function calculatePriority(record, session, scoring) {
     let score = 50;
 
-    // Factor 1: Due for review
+    // Factor 1: Due for review, and how much has likely been forgotten since
     if (!record.nextReviewDate) {
         score += 20; // Never seen
     } else {
-        const todayStr = today();
+        const todayStr = scoring.date;
         if (todayStr >= record.nextReviewDate) {
-            const overdueDays = Math.floor((new Date(todayStr) - new Date(record.nextReviewDate)) / 86400000);
+            const overdueDays = daysBetween(record.nextReviewDate, todayStr);
             score += Math.min(30, 10 + overdueDays * 5);
         }
+        const retrievability = scoring.scheduler.retrievability(record, todayStr);
+        if (retrievability !== null) score += (1 - retrievability) * 20;
     }
 
     // Factor 2: Low accuracy
@@ -205,188 +1150,215 @@ function calculatePriority(record, sessionAttempts, totalSessionProblems) {
     score += (SM2_DEFAULTS.MAX_EASE - record.easeFactor) * 10;
 
     // Factor 4: Recently wrong in this session
-    const sessionWrong = sessionAttempts.filter(a => a.problemKey === record.key && !a.isCorrect).length;
-    score += sessionWrong * 15;
+    score += (session.wrong.get(record.key) || 0) * 15;
 
     // Factor 5: Recency penalty — don't repeat too soon
-    if (sessionAttempts.length > 0) {
-        let lastIdx = -1;
-        for (let i = sessionAttempts.length - 1; i >= 0; i--) {
-            if (sessionAttempts[i].problemKey === record.key) { lastIdx = i; break; }
-        }
-        if (lastIdx >= 0) {
-            const problemsSince = totalSessionProblems - lastIdx - 1;
-            if (problemsSince < 5) {
-                score -= (5 - problemsSince) * 20;
-            }
+    const lastIdx = session.lastSeen.get(record.key);
+    if (lastIdx !== undefined) {
+        const problemsSince = session.total - lastIdx - 1;
+        if (problemsSince < 5) {
+            score -= (5 - problemsSince) * 20;
         }
     }
 
     // Factor 6: Slow responses
-    if (record.totalAttempts > 0) {
-        const avgTime = record.totalTimeMs / record.totalAttempts;
-        if (avgTime > 7000) score += 10;
+    const avgTime = averageTimeMs(record);
+    if (avgTime !== null && avgTime > 7000) score += 10;
+
+    // Factor 7: Exercises a weak skill
+    let weakest = 0;
+    for (const skill of recordSkills(record)) {
+        weakest = Math.max(weakest, scoring.skillWeakness[skill] || 0);
     }
+    score += weakest * 25;
 
     return Math.max(0, score);
 }
 
-// ─── Problem Selection ───
-
-export function selectNextProblem(sessionAttempts, phase) {
-    const settings = getSettings();
-    const enabledOps = Object.keys(settings.operationRanges).filter(op => settings.operationRanges[op].enabled);
+function createSession(warmupCount = 0) {
+    return {
+        warmupCount,          // warmup length, for hybrid's blocks
+        total: 0,
+        wrong: new Map(),     // problem key → wrong answers this session
+        lastSeen: new Map(),  // problem key → index of its latest attempt
+        opCounts: new Map(),  // operation → attempts this session
+        lastOp: null,
+        run: 0                // attempts in a row of lastOp
+    };
+}
 
-    if (enabledOps.length === 0) return null;
+const NO_SESSION = createSession();
 
-    // Use the in-memory pool (built at startup / settings change).
-    // Merge with any persisted records so SM-2 state is up to date.
-    const persisted = getAllProblemRecords();
-    let candidates = currentPool.map(r => persisted[r.key] || r)
-        .filter(r => enabledOps.includes(r.operation));
+// ─── Selection index entries ───
 
-    if (candidates.length === 0) {
-        // Absolute fallback
-        const op = enabledOps[Math.floor(Math.random() * enabledOps.length)];
-        return generateRandomProblem(op);
-    }
+const SELECTION_TOP = 10;
 
-    // Phase-based filtering
-    if (phase === 'warmup') {
-        // Prefer easy or new problems
-        const easy = candidates.filter(r => r.easeFactor >= 2.3 || r.totalAttempts === 0);
-        if (easy.length >= 5) candidates = easy;
-    } else if (phase === 'challenge') {
-        // Prefer hard problems — ones user has struggled with
-        const hard = candidates.filter(r => {
-            if (r.totalAttempts === 0) return false;
-            const acc = r.totalCorrect / r.totalAttempts;
-            return r.easeFactor < 2.0 || acc < 0.7;
-        });
-        if (hard.length >= 3) candidates = hard;
-    }
-
-    // Score all candidates
-    const scored = candidates.map(r => ({
-        record: r,
-        score: calculatePriority(r, sessionAttempts, sessionAttempts.length)
-    }));
-
-    // Apply interleaving
-    const interleaved = applyInterleaving(scored, sessionAttempts);
-
-    // Balance operations
-    const balanced = balanceOperations(interleaved, sessionAttempts, enabledOps);
+function scoreEntry(index, entry, record) {
+    entry.record = record;
+    entry.base = calculatePriority(record, NO_SESSION, index.scoring);
+    entry.easy = isEasy(record);
+    entry.hard = isHard(record);
+    entry.mastered = isFactMastered(record);
+}
 
-    // Weighted random from top 10
-    balanced.sort((a, b) => b.score - a.score);
-    const top = balanced.slice(0, Math.min(10, balanced.length));
-    const selected = weightedRandom(top);
+function isEasy(record) {
+    return record.easeFactor >= 2.3 || record.totalAttempts === 0;
+}
 
-    return {
-        operation: selected.record.operation,
-        a: selected.record.operandA,
-        b: selected.record.operandB,
-        answer: selected.record.correctAnswer,
-        key: selected.record.key
-    };
+function isHard(record) {
+    if (record.totalAttempts === 0) return false;
+    const acc = record.totalCorrect / record.totalAttempts;
+    return record.easeFactor < 2.0 || acc < 0.7;
 }
 
-function applyInterleaving(scored, sessionAttempts) {
-    if (sessionAttempts.length === 0) return scored;
+// Highest score first; equal scores keep pool order
+function compareEntries(x, y) {
+    return y.base - x.base || x.order - y.order;
+}
 
-    const last2 = sessionAttempts.slice(-2);
-    if (last2.length === 2 && last2[0].operation === last2[1].operation) {
-        // Must pick different operation
-        const blocked = last2[0].operation;
-        const filtered = scored.filter(s => s.record.operation !== blocked);
-        if (filtered.length > 0) return filtered;
-        return scored;
+function countEntries(lists, predicate) {
+    let count = 0;
+    for (const [, list] of lists) {
+        for (const entry of list) if (predicate(entry)) count++;
     }
+    return count;
+}
 
-    // Soft penalty for same operation as last
-    if (sessionAttempts.length >= 1) {
-        const lastOp = sessionAttempts[sessionAttempts.length - 1].operation;
-        return scored.map(s =>
-            s.record.operation === lastOp
-                ? { ...s, score: s.score * 0.5 }
-                : s
-        );
-    }
+// ─── Skills ───
 
-    return scored;
-}
+const SKILL_MIN_ATTEMPTS = 10;
 
-function balanceOperations(scored, sessionAttempts, enabledOps) {
-    if (sessionAttempts.length < 4) return scored;
+const skillCache = new Map();
 
-    const counts = {};
-    for (const op of enabledOps) counts[op] = 0;
-    for (const a of sessionAttempts) {
-        if (counts[a.operation] !== undefined) counts[a.operation]++;
+function recordSkills(record) {
+    if (!skillCache.has(record.key)) {
+        skillCache.set(record.key, classifySkills(record.operation, record.operandA, record.operandB, record.format));
     }
+    return skillCache.get(record.key);
+}
 
-    const total = sessionAttempts.length;
-    const expected = 1 / enabledOps.length;
+function withSkills(problem) {
+    problem.skills = classifySkills(problem.operation, problem.a, problem.b, problem.format);
+    return problem;
+}
 
-    return scored.map(s => {
-        const actual = counts[s.record.operation] / total;
-        if (actual < expected * 0.7) {
-            return { ...s, score: s.score * 1.5 };
-        } else if (actual > expected * 1.3) {
-            return { ...s, score: s.score * 0.6 };
-        }
-        return s;
+// ─── Missing-operand format ───
+
+const FORWARD = {
+    add: (a, b) => a + b,
+    sub: (a, b) => a - b,
+    mul: (a, b) => a * b,
+    div: (a, b) => a / b
+};
+
+// "? × 7 = 56": the answer is the hidden operand and the forward result is shown.
+// Scheduled under its own key so inverse recall is tracked apart from the forward fact.
+function toMissingOperand(problem, format) {
+    const { operation, a, b } = problem;
+    return withSkills({
+        operation,
+        a,
+        b,
+        answer: format === '?a' ? a : b,
+        result: problem.answer,
+        format,
+        key: missingOperandKey(operation, a, b, format)
     });
 }
 
-function weightedRandom(items) {
-    const totalWeight = items.reduce((sum, item) => sum + Math.max(1, item.score), 0);
-    let r = Math.random() * totalWeight;
-    for (const item of items) {
-        r -= Math.max(1, item.score);
-        if (r <= 0) return item;
-    }
-    return items[items.length - 1];
-}
+// ─── Practice Ordering ───
 
-// ─── Mistake Drill ───
+// The ordering in force for this pick: hybrid runs blocked through warmup only
+function practiceOrderFor(settings, phase) {
+    if (settings.practiceOrder === 'hybrid') return phase === 'warmup' ? 'blocked' : 'interleaved';
+    return settings.practiceOrder === 'blocked' ? 'blocked' : 'interleaved';
+}
 
-export function getDrillProblems() {
-    const allRecords = getAllProblemRecords();
-    const settings = getSettings();
-    const enabledOps = Object.keys(settings.operationRanges).filter(op => settings.operationRanges[op].enabled);
+// A warmup is shorter than a full block, so hybrid's warmup blocks split it between the
+// operations instead (capped at the block size)
+function blockSizeFor(settings, phase, opCount, warmupCount) {
+    if (settings.practiceOrder !== 'hybrid' || phase !== 'warmup' || !(warmupCount > 0)) return settings.blockSize;
+    return Math.min(settings.blockSize, Math.max(1, Math.ceil(warmupCount / opCount)));
+}
 
-    return Object.values(allRecords).filter(r => {
-        if (!enabledOps.includes(r.operation)) return false;
-        if (r.totalAttempts < 2) return false;
-        const acc = r.totalCorrect / r.totalAttempts;
-        return acc < 0.7 || r.easeFactor < 1.8;
-    }).sort((a, b) => {
-        const accA = a.totalCorrect / a.totalAttempts;
-        const accB = b.totalCorrect / b.totalAttempts;
-        return accA - accB; // Worst first
-    });
+/**
+ * Per-operation score adjustment for the current pick; operations left out of the map
+ * are not offered. `hasCandidates(op)` says whether an operation has anything to pick.
+ */
+function operationWeights(order, ops, hasCandidates, session, { balance, blockSize }) {
+    return order === 'blocked'
+        ? blockWeights(ops, hasCandidates, session, blockSize)
+        : interleavingWeights(ops, hasCandidates, session, balance);
 }
 
-export function selectDrillProblem(drillPool, sessionAttempts) {
-    if (drillPool.length === 0) return null;
+// A fixed mix: the operation furthest below its share of the session so far goes next
+function mixWeights(mix, ops, hasCandidates, session) {
+    const available = ops.filter(hasCandidates);
+    const candidates = available.length > 0 ? available : ops;
+    const total = candidates.reduce((s, op) => s + mix[op], 0);
+    let next = candidates[0];
+    let bestDeficit = -Infinity;
+    for (const op of candidates) {
+        const deficit = (mix[op] / total) * (session.total + 1) - (session.opCounts.get(op) || 0);
+        if (deficit > bestDeficit) {
+            next = op;
+            bestDeficit = deficit;
+        }
+    }
+    return new Map([[next, score => score]]);
+}
 
-    const scored = drillPool.map(r => ({
-        record: r,
-        score: calculatePriority(r, sessionAttempts, sessionAttempts.length)
-    }));
+// Stay on the last operation for `blockSize` problems, then move to the next one in
+// settings order that has candidates
+function blockWeights(ops, hasCandidates, session, blockSize) {
+    const available = ops.filter(hasCandidates);
+    if (available.length === 0) return new Map(ops.map(op => [op, score => score]));
+
+    const last = session.lastOp;
+    let op = last;
+    if (!available.includes(last) || session.run >= blockSize) {
+        const from = ops.indexOf(last);
+        for (let k = 1; k <= ops.length; k++) {
+            op = ops[(from + k + ops.length) % ops.length];
+            if (available.includes(op)) break;
+        }
+    }
+    return new Map([[op, score => score]]);
+}
 
-    const interleaved = applyInterleaving(scored, sessionAttempts);
-    interleaved.sort((a, b) => b.score - a.score);
-    const top = interleaved.slice(0, Math.min(8, interleaved.length));
-    const selected = weightedRandom(top);
+/**
+ * Interleaving: after two in a row of one operation, anything else goes first;
+ * otherwise the last operation is halved. Balance (from 4 attempts): under-practised
+ * operations are boosted, over-practised ones damped.
+ */
+function interleavingWeights(ops, hasCandidates, session, balance) {
+    const weights = new Map();
+    const total = session.total;
+    const lastOp = session.lastOp;
+    const repeated = session.run >= 2;
+
+    let excluded = null;
+    let halved = lastOp;
+    if (repeated) {
+        // Must pick different operation
+        halved = null;
+        if (ops.some(op => op !== lastOp && hasCandidates(op))) excluded = lastOp;
+    }
 
-    return {
-        operation: selected.record.operation,
-        a: selected.record.operandA,
-        b: selected.record.operandB,
-        answer: selected.record.correctAnswer,
-        key: selected.record.key
-    };
+    const expected = 1 / ops.length;
+    for (const op of ops) {
+        if (op === excluded) continue;
+        let factor = null;
+        if (balance && total >= 4) {
+            const actual = (session.opCounts.get(op) || 0) / total;
+            if (actual < expected * 0.7) factor = 1.5;
+            else if (actual > expected * 1.3) factor = 0.6;
+        }
+        const half = op === halved;
+        weights.set(op, score => {
+            if (half) score = score * 0.5;
+            return factor === null ? score : score * factor;
+        });
+    }
+    return weights;
 }
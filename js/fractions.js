@@ -0,0 +1,87 @@
+// QuantPerfector — Fraction Arithmetic (parse, reduce, compare)
+
+export function gcd(a, b) {
+    a = Math.abs(a);
+    b = Math.abs(b);
+    while (b) [a, b] = [b, a % b];
+    return a;
+}
+
+export function lcm(a, b) {
+    return Math.abs(a * b) / gcd(a, b);
+}
+
+export function makeFraction(n, d) {
+    // Keep the sign on the numerator
+    if (d < 0) { n = -n; d = -d; }
+    return { n, d };
+}
+
+export function reduceFraction(f) {
+    const g = gcd(f.n, f.d) || 1;
+    return makeFraction(f.n / g, f.d / g);
+}
+
+export function isReduced(f) {
+    return gcd(f.n, f.d) === 1;
+}
+
+export function formatFraction(f) {
+    return f.d === 1 ? `${f.n}` : `${f.n}/${f.d}`;
+}
+
+/** Parse "3/8", "-3/8" or a whole number "2". Returns null for anything else. */
+export function parseFraction(text) {
+    const match = /^\s*(-?\d+)\s*(?:\/\s*(\d+))?\s*$/.exec(String(text));
+    if (!match) return null;
+    const n = parseInt(match[1], 10);
+    const d = match[2] === undefined ? 1 : parseInt(match[2], 10);
+    if (d === 0) return null;
+    return makeFraction(n, d);
+}
+
+export function fractionValue(f) {
+    return f.n / f.d;
+}
+
+export function fractionsEqual(x, y) {
+    return x.n * y.d === y.n * x.d;
+}
+
+// Results are left unreduced so callers can show the reduction step
+export function addFractions(x, y) {
+    return makeFraction(x.n * y.d + y.n * x.d, x.d * y.d);
+}
+
+export function subtractFractions(x, y) {
+    return makeFraction(x.n * y.d - y.n * x.d, x.d * y.d);
+}
+
+export function multiplyFractions(x, y) {
+    return makeFraction(x.n * y.n, x.d * y.d);
+}
+
+/** True if n/d has a finite decimal expansion (denominator is 2^i · 5^j). */
+export function isTerminating(d) {
+    while (d % 2 === 0) d /= 2;
+    while (d % 5 === 0) d /= 5;
+    return d === 1;
+}
+
+/**
+ * Grade a typed fraction against the expected answer.
+ * Equivalent-but-unreduced answers are accepted unless `requireReduced` is set;
+ * either way `notReduced` tells the caller to point it out.
+ */
+export function gradeFractionAnswer(input, expected, requireReduced) {
+    const given = parseFraction(input);
+    const target = parseFraction(expected);
+    if (!given || !target) return { isCorrect: false, notReduced: false };
+
+    const equivalent = fractionsEqual(given, target);
+    const reduced = isReduced(given);
+    return {
+        isCorrect: equivalent && (reduced || !requireReduced),
+        notReduced: equivalent && !reduced
+    };
+}
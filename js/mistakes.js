@@ -0,0 +1,134 @@
+// QuantPerfector — Error Patterns (the likely cause of a wrong answer)
+
+import { getOperatorSymbol, isSignedProblem } from './constants.js';
+
+export const ERROR_PATTERNS = {
+    'sign':            { label: 'sign errors' },
+    'wrong-operation': { label: 'wrong operation applied' },
+    'power-of-ten':    { label: 'off by a power of ten' },
+    'transposed':      { label: 'transposed digits' },
+    'off-by-multiple': { label: 'off by one multiple' },
+    'carry-borrow':    { label: 'carry or borrow slips' }
+};
+
+export function errorPatternLabel(pattern) {
+    return ERROR_PATTERNS[pattern]?.label || pattern;
+}
+
+// Operations a slip can be mistaken for, and how to say it
+const BASIC_OPS = {
+    add: { verb: 'added',      apply: (a, b) => a + b },
+    sub: { verb: 'subtracted', apply: (a, b) => a - b },
+    mul: { verb: 'multiplied', apply: (a, b) => a * b },
+    div: { verb: 'divided',    apply: (a, b) => b !== 0 ? a / b : null }
+};
+
+const COLUMNS = { 1: 'tens', 2: 'hundreds', 3: 'thousands', 4: 'ten-thousands' };
+
+// log10 of a ratio when it is a whole power of ten, else null
+function powerOfTen(ratio) {
+    if (!(ratio > 0)) return null;
+    const k = Math.round(Math.log10(ratio));
+    return k !== 0 && Math.abs(ratio / Math.pow(10, k) - 1) < 1e-9 ? k : null;
+}
+
+// Same digits with exactly two of them swapped
+function isTransposition(x, y) {
+    if (!Number.isInteger(x) || !Number.isInteger(y) || (x < 0) !== (y < 0)) return false;
+    const xs = String(Math.abs(x));
+    const ys = String(Math.abs(y));
+    if (xs.length !== ys.length) return false;
+    const diffs = [];
+    for (let i = 0; i < xs.length; i++) {
+        if (xs[i] !== ys[i]) diffs.push(i);
+    }
+    return diffs.length === 2 && xs[diffs[0]] === ys[diffs[1]] && xs[diffs[1]] === ys[diffs[0]];
+}
+
+/**
+ * Likely cause of a wrong numeric answer: { pattern, message }, or null when it
+ * doesn't fit a known slip. Fractions, remainders and timeouts aren't classified.
+ */
+export function classifyError(operation, a, b, correctAnswer, userAnswer, format = null) {
+    if (typeof userAnswer !== 'number' || typeof correctAnswer !== 'number') return null;
+    if (userAnswer === correctAnswer) return null;
+
+    if (correctAnswer !== 0 && userAnswer === -correctAnswer) {
+        return { pattern: 'sign', message: 'Right size, wrong sign' };
+    }
+
+    // Only forward problems with two plain operands can be mistaken for another operation
+    const forward = !format && BASIC_OPS[operation] && typeof a === 'number' && typeof b === 'number';
+    if (forward) {
+        for (const [op, { verb, apply }] of Object.entries(BASIC_OPS)) {
+            if (op === operation || apply(a, b) !== userAnswer) continue;
+            return { pattern: 'wrong-operation', message: `Looks like you ${verb} instead of ${BASIC_OPS[operation].verb}` };
+        }
+    }
+
+    const k = powerOfTen(userAnswer / correctAnswer);
+    if (k !== null) {
+        const factor = Math.pow(10, Math.abs(k));
+        return {
+            pattern: 'power-of-ten',
+            message: `${k > 0 ? 'Too big' : 'Too small'} by a factor of ${factor} — check the zeros and the decimal point`
+        };
+    }
+
+    if (isTransposition(userAnswer, correctAnswer)) {
+        return { pattern: 'transposed', message: `Digits swapped — ${correctAnswer}, not ${userAnswer}` };
+    }
+
+    if (!forward) return null;
+    const diff = userAnswer - correctAnswer;
+    const sym = getOperatorSymbol(operation);
+
+    // 7 × 8 answered with 7 × 7; 56 ÷ 7 answered with 7 (that's 49)
+    if (operation === 'mul' && (Math.abs(diff) === Math.abs(a) || Math.abs(diff) === Math.abs(b))) {
+        const [unit, count] = Math.abs(diff) === Math.abs(a) ? [a, b] : [b, a];
+        const counted = count + diff / unit;
+        const off = Math.abs(counted) > Math.abs(count) ? 'too many' : 'short';
+        return { pattern: 'off-by-multiple', message: `That's ${unit} ${sym} ${counted} — one ${Math.abs(unit)} ${off}` };
+    }
+    if (operation === 'div' && Math.abs(diff) === 1 && Number.isInteger(userAnswer)) {
+        return {
+            pattern: 'off-by-multiple',
+            message: `${userAnswer} ${getOperatorSymbol('mul')} ${b} = ${userAnswer * b}, not ${a}`
+        };
+    }
+
+    // A single column out by one: a carry or borrow dropped or added
+    const column = powerOfTen(Math.abs(diff));
+    if (COLUMNS[column] && operation !== 'div' && !isSignedProblem(operation, a, b)) {
+        const slip = operation === 'sub' ? 'borrow' : 'carry';
+        return { pattern: 'carry-borrow', message: `Check the ${slip} in the ${COLUMNS[column]} column` };
+    }
+
+    return null;
+}
+
+/** Classification stored on an attempt, or worked out for attempts logged before it was. */
+export function attemptErrorPattern(attempt) {
+    if (attempt.isCorrect || attempt.timedOut || attempt.estimate) return null;
+    if (attempt.errorPattern) return attempt.errorPattern;
+    return classifyError(attempt.operation, attempt.operandA, attempt.operandB, attempt.correctAnswer,
+        attempt.userAnswer, attempt.format)?.pattern || null;
+}
+
+/**
+ * Wrong answers per error pattern over a list of attempts, most common first.
+ * `share` is out of all wrong answers, classified or not.
+ */
+export function summarizeErrorPatterns(attempts) {
+    const counts = {};
+    let wrong = 0;
+    for (const a of attempts) {
+        if (a.isCorrect || a.timedOut || a.estimate) continue;
+        wrong++;
+        const pattern = attemptErrorPattern(a);
+        if (pattern) counts[pattern] = (counts[pattern] || 0) + 1;
+    }
+    return Object.entries(counts)
+        .map(([pattern, count]) => ({ pattern, label: errorPatternLabel(pattern), count, share: count / wrong }))
+        .sort((x, y) => y.count - x.count);
+}
@@ -0,0 +1,180 @@
+// QuantPerfector — Custom Problem Sets (named lists of facts practised on their own)
+//
+// A set is just a list of problems. Its records are the ordinary ones under the usual
+// keys, so practising a set and practising the ranges schedule the same facts.
+
+import { canonicalizeProblemKey, problemParts } from './constants.js';
+import { today } from './schedulers.js';
+
+const MAX_SET_ITEMS = 500;
+const TABLE_RANGE = { min: 2, max: 12 };  // "7s" means 7 × 2 … 7 × 12
+const SOLID_INTERVAL_DAYS = 7;             // spaced this far out counts as learned
+
+const BINARY_SYMBOLS = {
+    'x': 'mul', '×': 'mul', '*': 'mul',
+    '/': 'div', '÷': 'div',
+    '+': 'add',
+    '-': 'sub', '−': 'sub'
+};
+
+const UNARY_NAMES = [
+    [/^squares?$/, 'sq'],
+    [/^square roots?$/, 'sqrt'],
+    [/^cubes?$/, 'cube'],
+    [/^cube roots?$/, 'cbrt'],
+    [/^powers? of (?:2|two)$/, 'pow2']
+];
+
+// ─── Parsing ───
+
+// Items use record operands: a dividend for div, n² for a square root, and so on
+function unaryItem(operation, n) {
+    switch (operation) {
+        case 'sqrt': return { operation, a: n * n, b: null };
+        case 'cbrt': return { operation, a: n * n * n, b: null };
+        default:     return { operation, a: n, b: null };
+    }
+}
+
+function parseEntry(text) {
+    const entry = text.trim().toLowerCase();
+
+    // "7s", "8s tables", "12 times table"
+    const table = /^(\d+)(?:'?s)?\s*(?:times\s+)?(?:tables?)?$/.exec(entry);
+    if (table && (/s|table/.test(entry))) {
+        const n = parseInt(table[1], 10);
+        const items = [];
+        for (let k = TABLE_RANGE.min; k <= TABLE_RANGE.max; k++) items.push({ operation: 'mul', a: n, b: k });
+        return items;
+    }
+
+    // "squares 11–25", "cube roots 2-10", "powers of two 5"
+    const unary = /^([a-z ]+?)\s+(\d+)(?:\s*(?:-|–|—|to)\s*(\d+))?$/.exec(entry);
+    if (unary) {
+        const match = UNARY_NAMES.find(([pattern]) => pattern.test(unary[1]));
+        if (!match) return null;
+        const from = parseInt(unary[2], 10);
+        const to = unary[3] !== undefined ? parseInt(unary[3], 10) : from;
+        if (to < from || to - from >= MAX_SET_ITEMS) return null;
+        const items = [];
+        for (let n = from; n <= to; n++) items.push(unaryItem(match[1], n));
+        return items;
+    }
+
+    // "13x17", "56 ÷ 7", "83 - 47"
+    const binary = /^(-?\d+)\s*([x×*/÷+\-−])\s*(-?\d+)$/.exec(entry);
+    if (binary) {
+        const operation = BINARY_SYMBOLS[binary[2]];
+        const a = parseInt(binary[1], 10);
+        const b = parseInt(binary[3], 10);
+        if (operation === 'div' && (b === 0 || a % b !== 0)) return null;
+        return [{ operation, a, b }];
+    }
+
+    return null;
+}
+
+/**
+ * Parse a pasted list ("13x17, 14x16", "7s and 8s tables", "squares 11–25") into set
+ * items. Entries split on commas, semicolons, new lines and "and"; duplicates are
+ * dropped. Returns the items plus any entries that could not be read.
+ */
+export function parseProblemList(text) {
+    const items = [];
+    const errors = [];
+    const seen = new Set();
+
+    for (const raw of String(text).split(/[,;\n]|\band\b/i)) {
+        if (!raw.trim()) continue;
+        const parsed = parseEntry(raw);
+        if (!parsed) {
+            errors.push(raw.trim());
+            continue;
+        }
+        for (const item of parsed) {
+            const key = itemKey(item);
+            if (seen.has(key) || items.length >= MAX_SET_ITEMS) continue;
+            seen.add(key);
+            items.push(item);
+        }
+    }
+
+    return { items, errors };
+}
+
+export function itemKey(item) {
+    return canonicalizeProblemKey(item.operation, item.a, item.b);
+}
+
+export function itemAnswer(item) {
+    const { operation, a, b } = item;
+    switch (operation) {
+        case 'add':  return a + b;
+        case 'sub':  return a - b;
+        case 'mul':  return a * b;
+        case 'div':  return a / b;
+        case 'sq':   return a * a;
+        case 'sqrt': return Math.round(Math.sqrt(a));
+        case 'cube': return a * a * a;
+        case 'cbrt': return Math.round(Math.cbrt(a));
+        case 'pow2': return 2 ** a;
+    }
+    return null;
+}
+
+export function createProblemSet(name, source, items) {
+    const now = new Date().toISOString();
+    return {
+        id: `ps_${Date.now()}`,
+        name,
+        source,
+        items,
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+export function setOperations(set) {
+    return [...new Set(set.items.map(item => item.operation))];
+}
+
+// ─── Progress ───
+
+function itemStatus(record, todayStr) {
+    if (!record || record.totalAttempts === 0) return 'new';
+    if (record.nextReviewDate && record.nextReviewDate <= todayStr) return 'due';
+    return record.interval >= SOLID_INTERVAL_DAYS ? 'solid' : 'learning';
+}
+
+/**
+ * Where each problem of a set stands in its schedule, plus totals for the set.
+ * `getRecord(key)` looks up a stored record.
+ */
+export function getSetProgress(set, getRecord) {
+    const todayStr = today();
+    const counts = { new: 0, due: 0, learning: 0, solid: 0 };
+    let attempts = 0;
+    let correct = 0;
+
+    const items = set.items.map(item => {
+        const record = getRecord(itemKey(item));
+        const status = itemStatus(record, todayStr);
+        counts[status]++;
+        if (record) {
+            attempts += record.totalAttempts;
+            correct += record.totalCorrect;
+        }
+        return {
+            label: problemParts(item.operation, item.a, item.b).filter(Boolean).join(' '),
+            status,
+            accuracy: record && record.totalAttempts > 0 ? record.totalCorrect / record.totalAttempts : null
+        };
+    });
+
+    return {
+        total: set.items.length,
+        counts,
+        accuracy: attempts > 0 ? correct / attempts : null,
+        items
+    };
+}
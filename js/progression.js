@@ -0,0 +1,140 @@
+// QuantPerfector — Difficulty Progression (widen ranges on mastery, roll back on failure)
+
+import { PROGRESSION, timedAttempts } from './constants.js';
+import { getSettings, saveSettings, getAttemptLog, getAllProblemRecords, getRangeHistory,
+         addRangeChange } from './storage.js';
+import { engine } from './browser-engine.js';
+
+const RANGE_FIELDS = ['minA', 'maxA', 'minB', 'maxB'];
+
+function rangeBounds(range) {
+    const bounds = {};
+    for (const field of RANGE_FIELDS) {
+        if (range[field] !== undefined) bounds[field] = range[field];
+    }
+    return bounds;
+}
+
+// First tier that widens the range without narrowing any side of it
+function nextTier(operation, range) {
+    const tiers = PROGRESSION.TIERS[operation];
+    if (!tiers) return null;
+    for (const tier of tiers) {
+        const fields = Object.keys(tier);
+        const wider = fields.some(f => tier[f] > range[f]);
+        const narrower = fields.some(f => tier[f] < range[f]);
+        if (wider && !narrower) return { ...rangeBounds(range), ...tier };
+    }
+    return null;
+}
+
+/**
+ * Mastery of an operation's current range, judged over its pool: how much of it has
+ * been tried, accuracy and speed on what has, and how far out the scheduler is
+ * spacing it.
+ */
+export function getRangeMastery(operation) {
+    const persisted = getAllProblemRecords();
+    const records = engine.pool().filter(r => r.operation === operation).map(r => persisted[r.key] || r);
+    if (records.length === 0) return null;
+
+    const attempted = records.filter(r => r.totalAttempts > 0);
+    let attempts = 0, correct = 0, timeMs = 0, timed = 0;
+    for (const r of attempted) {
+        attempts += r.totalAttempts;
+        correct += r.totalCorrect;
+        timeMs += r.totalTimeMs;
+        timed += timedAttempts(r);
+    }
+
+    return {
+        coverage: attempted.length / records.length,
+        accuracy: attempts > 0 ? correct / attempts : 0,
+        avgTimeMs: timed > 0 ? timeMs / timed : 0,
+        spacedShare: attempted.length > 0
+            ? attempted.filter(r => r.interval >= PROGRESSION.MIN_INTERVAL_DAYS).length / attempted.length
+            : 0
+    };
+}
+
+function isMastered(mastery) {
+    return mastery &&
+        mastery.coverage >= PROGRESSION.MIN_COVERAGE &&
+        mastery.accuracy >= PROGRESSION.MASTERY_ACCURACY &&
+        mastery.avgTimeMs <= PROGRESSION.MASTERY_AVG_MS &&
+        mastery.spacedShare >= PROGRESSION.MIN_SPACED_SHARE;
+}
+
+// Accuracy over the attempts made since the range last changed, once there are enough
+function recentAccuracySince(operation, since) {
+    const attempts = getAttemptLog().filter(a => a.operation === operation && a.timestamp >= since);
+    if (attempts.length < PROGRESSION.ROLLBACK_WINDOW) return null;
+    const recent = attempts.slice(-PROGRESSION.ROLLBACK_WINDOW);
+    return recent.filter(a => a.isCorrect).length / recent.length;
+}
+
+function lastChange(operation) {
+    const history = getRangeHistory().filter(c => c.operation === operation);
+    return history.length > 0 ? history[history.length - 1] : null;
+}
+
+/**
+ * Range changes suggested by recent play. Expansions are offered to the user;
+ * rollbacks (sustained failure since the last expansion) are applied right away.
+ */
+export function evaluateProgression() {
+    const settings = getSettings();
+    const result = { expansions: [], rollbacks: [] };
+    if (!settings.progression) return result;
+
+    for (const [op, range] of Object.entries(settings.operationRanges)) {
+        if (!range.enabled || !PROGRESSION.TIERS[op]) continue;
+
+        const last = lastChange(op);
+        if (last && last.kind === 'expand') {
+            const accuracy = recentAccuracySince(op, last.date);
+            if (accuracy !== null && accuracy < PROGRESSION.ROLLBACK_ACCURACY) {
+                result.rollbacks.push({
+                    operation: op,
+                    from: rangeBounds(range),
+                    to: last.from,
+                    reason: `${Math.round(accuracy * 100)}% over the last ${PROGRESSION.ROLLBACK_WINDOW}`
+                });
+                continue;
+            }
+        }
+
+        // Give a rolled-back range time to settle before offering it again
+        if (last && last.kind === 'rollback' &&
+            Date.now() - new Date(last.date).getTime() < PROGRESSION.ROLLBACK_COOLDOWN_DAYS * 86400000) continue;
+
+        const mastery = getRangeMastery(op);
+        const to = nextTier(op, range);
+        if (to && isMastered(mastery)) {
+            result.expansions.push({
+                operation: op,
+                from: rangeBounds(range),
+                to,
+                reason: `${Math.round(mastery.accuracy * 100)}% at ${(mastery.avgTimeMs / 1000).toFixed(1)}s`
+            });
+        }
+    }
+
+    for (const change of result.rollbacks) applyRangeChange(change, 'rollback');
+    return result;
+}
+
+export function applyRangeChange(change, kind) {
+    const settings = getSettings();
+    Object.assign(settings.operationRanges[change.operation], change.to);
+    saveSettings(settings);
+    addRangeChange({
+        id: `r_${Date.now()}_${change.operation}`,
+        date: new Date().toISOString(),
+        operation: change.operation,
+        kind,
+        from: change.from,
+        to: change.to
+    });
+    engine.buildPool();
+}
@@ -0,0 +1,59 @@
+// QuantPerfector — Seedable PRNG (mulberry32)
+//
+// All engine randomness goes through `random()`, so a session replays exactly
+// from its seed plus the attempt history.
+
+let currentSeed = 0;
+
+/** Normalize a seed to a uint32. Numeric strings parse as numbers; other text is hashed (FNV-1a). */
+export function normalizeSeed(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) return value >>> 0;
+    const text = String(value ?? '').trim();
+    if (/^\d+$/.test(text)) return Number(text) >>> 0;
+    return hashString(text);
+}
+
+export function hashString(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+/** A fresh seed — the one place Math.random is allowed. */
+export function randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/** Independent generator, for callers that must not disturb the session stream. */
+export function createRng(seed) {
+    let s = normalizeSeed(seed);
+    return function next() {
+        s = (s + 0x6D2B79F5) >>> 0;
+        let t = s;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+let generator = createRng(0);
+
+export function setSeed(seed) {
+    currentSeed = normalizeSeed(seed);
+    generator = createRng(currentSeed);
+}
+
+export function getSeed() {
+    return currentSeed;
+}
+
+/** Uniform in [0, 1) from the session stream. */
+export function random() {
+    return generator();
+}
+
+// Start unpredictable until a session seeds the stream
+setSeed(randomSeed());
@@ -0,0 +1,210 @@
+// QuantPerfector — Spaced-Repetition Schedulers (SM-2, FSRS)
+//
+// A scheduler turns a graded attempt (quality 0–5, see gradeResponse) into the next
+// review date. Every scheduler keeps the shared record fields meaningful —
+// `nextReviewDate`, `interval`, `repetitions`, `easeFactor` — so selection, drills
+// and stats work whichever one is active.
+
+import { SM2_DEFAULTS, FSRS_DEFAULTS } from './constants.js';
+
+// ─── Dates (day granularity) ───
+
+export function today(date = new Date()) {
+    return date.toISOString().split('T')[0];
+}
+
+export function addDays(dateStr, days) {
+    const d = dateStr ? new Date(dateStr) : new Date();
+    d.setDate(d.getDate() + days);
+    return d.toISOString().split('T')[0];
+}
+
+export function daysBetween(fromStr, toStr) {
+    return Math.round((new Date(toStr) - new Date(fromStr)) / 86400000);
+}
+
+// Records saved before schedulers tracked it: back out the last review from the due date
+function lastReviewOf(record) {
+    if (record.lastReviewDate) return record.lastReviewDate;
+    if (record.nextReviewDate) return addDays(record.nextReviewDate, -(record.interval || 0));
+    return null;
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+// Power forgetting curve shared by both schedulers — R is 0.9 when t equals S
+function forgettingCurve(elapsedDays, stability) {
+    return Math.pow(1 + FSRS_DEFAULTS.FACTOR * elapsedDays / stability, FSRS_DEFAULTS.DECAY);
+}
+
+// ─── SM-2 ───
+
+const sm2 = {
+    id: 'sm2',
+    name: 'SM-2',
+
+    update(record, quality, dateStr = today()) {
+        if (quality >= 3) {
+            if (record.repetitions === 0) {
+                record.interval = SM2_DEFAULTS.INITIAL_INTERVAL;
+            } else if (record.repetitions === 1) {
+                record.interval = SM2_DEFAULTS.SECOND_INTERVAL;
+            } else {
+                record.interval = Math.round(record.interval * record.easeFactor);
+            }
+            record.repetitions += 1;
+        } else {
+            record.repetitions = 0;
+            record.interval = 0;
+        }
+
+        record.easeFactor = record.easeFactor +
+            (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+
+        record.easeFactor = clamp(record.easeFactor, SM2_DEFAULTS.MIN_EASE, SM2_DEFAULTS.MAX_EASE);
+        // Any FSRS state is now stale; it is re-seeded from these fields on switching back
+        record.stability = null;
+        record.difficulty = null;
+        record.lastReviewDate = dateStr;
+        record.nextReviewDate = addDays(dateStr, record.interval);
+
+        return record;
+    },
+
+    // SM-2 has no memory model; treat the interval as the point where recall drops to 90%
+    retrievability(record, dateStr = today()) {
+        const last = lastReviewOf(record);
+        if (!last) return null;
+        return forgettingCurve(Math.max(0, daysBetween(last, dateStr)), Math.max(1, record.interval));
+    },
+
+    // SM-2 state (ease, interval, repetitions) is kept up to date by FSRS too
+    convert(record) {
+        if (record.easeFactor === undefined) record.easeFactor = SM2_DEFAULTS.EASE_FACTOR;
+        if (record.interval === undefined) record.interval = 0;
+        if (record.repetitions === undefined) record.repetitions = 0;
+        return record;
+    }
+};
+
+// ─── FSRS ───
+
+const W = FSRS_DEFAULTS.WEIGHTS;
+
+// Quality 0–5 → FSRS rating: 1 again, 2 hard, 3 good, 4 easy
+function toRating(quality) {
+    if (quality < 3) return 1;
+    if (quality === 3) return 2;
+    if (quality === 4) return 3;
+    return 4;
+}
+
+function initialDifficulty(rating) {
+    return clamp(W[4] - (rating - 3) * W[5], FSRS_DEFAULTS.MIN_DIFFICULTY, FSRS_DEFAULTS.MAX_DIFFICULTY);
+}
+
+function nextDifficulty(difficulty, rating) {
+    const next = difficulty - W[6] * (rating - 3);
+    // Mean reversion toward the "good" starting difficulty
+    const reverted = W[7] * initialDifficulty(3) + (1 - W[7]) * next;
+    return clamp(reverted, FSRS_DEFAULTS.MIN_DIFFICULTY, FSRS_DEFAULTS.MAX_DIFFICULTY);
+}
+
+function recallStability(difficulty, stability, r, rating) {
+    const hardPenalty = rating === 2 ? W[15] : 1;
+    const easyBonus = rating === 4 ? W[16] : 1;
+    return stability * (1 + Math.exp(W[8]) * (11 - difficulty) * Math.pow(stability, -W[9]) *
+        (Math.exp(W[10] * (1 - r)) - 1) * hardPenalty * easyBonus);
+}
+
+function forgetStability(difficulty, stability, r) {
+    const next = W[11] * Math.pow(difficulty, -W[12]) * (Math.pow(stability + 1, W[13]) - 1) *
+        Math.exp(W[14] * (1 - r));
+    return Math.min(next, stability);
+}
+
+function intervalFor(stability) {
+    const days = stability / FSRS_DEFAULTS.FACTOR *
+        (Math.pow(FSRS_DEFAULTS.REQUEST_RETENTION, 1 / FSRS_DEFAULTS.DECAY) - 1);
+    return clamp(Math.round(days), 1, FSRS_DEFAULTS.MAX_INTERVAL);
+}
+
+// Difficulty 1–10 ↔ ease factor MAX_EASE–MIN_EASE, so ease-based heuristics stay meaningful
+function easeFromDifficulty(difficulty) {
+    const t = (difficulty - FSRS_DEFAULTS.MIN_DIFFICULTY) / (FSRS_DEFAULTS.MAX_DIFFICULTY - FSRS_DEFAULTS.MIN_DIFFICULTY);
+    return SM2_DEFAULTS.MAX_EASE - t * (SM2_DEFAULTS.MAX_EASE - SM2_DEFAULTS.MIN_EASE);
+}
+
+function difficultyFromEase(easeFactor) {
+    const t = (SM2_DEFAULTS.MAX_EASE - easeFactor) / (SM2_DEFAULTS.MAX_EASE - SM2_DEFAULTS.MIN_EASE);
+    return clamp(FSRS_DEFAULTS.MIN_DIFFICULTY + t * (FSRS_DEFAULTS.MAX_DIFFICULTY - FSRS_DEFAULTS.MIN_DIFFICULTY),
+        FSRS_DEFAULTS.MIN_DIFFICULTY, FSRS_DEFAULTS.MAX_DIFFICULTY);
+}
+
+const fsrs = {
+    id: 'fsrs',
+    name: 'FSRS',
+
+    update(record, quality, dateStr = today()) {
+        fsrs.convert(record);
+        const rating = toRating(quality);
+
+        if (record.stability === null) {
+            record.stability = W[rating - 1];
+            record.difficulty = initialDifficulty(rating);
+        } else {
+            const last = lastReviewOf(record);
+            const elapsed = last ? Math.max(0, daysBetween(last, dateStr)) : 0;
+            const r = forgettingCurve(elapsed, record.stability);
+            record.stability = rating === 1
+                ? forgetStability(record.difficulty, record.stability, r)
+                : recallStability(record.difficulty, record.stability, r, rating);
+            record.difficulty = nextDifficulty(record.difficulty, rating);
+        }
+
+        if (rating === 1) {
+            // Lapses stay due today, as under SM-2
+            record.repetitions = 0;
+            record.interval = 0;
+        } else {
+            record.repetitions += 1;
+            record.interval = intervalFor(record.stability);
+        }
+        record.easeFactor = easeFromDifficulty(record.difficulty);
+        record.lastReviewDate = dateStr;
+        record.nextReviewDate = addDays(dateStr, record.interval);
+
+        return record;
+    },
+
+    retrievability(record, dateStr = today()) {
+        const last = lastReviewOf(record);
+        if (!last || !record.stability) return null;
+        return forgettingCurve(Math.max(0, daysBetween(last, dateStr)), record.stability);
+    },
+
+    // Seed stability/difficulty from SM-2 history: the SM-2 interval approximates
+    // the 90%-recall point, which is what FSRS stability means
+    convert(record) {
+        if (record.stability !== undefined && record.stability !== null) return record;
+        if (!record.nextReviewDate) {
+            record.stability = null;
+            record.difficulty = null;
+            return record;
+        }
+        record.stability = Math.max(1, record.interval || 0);
+        record.difficulty = difficultyFromEase(record.easeFactor ?? SM2_DEFAULTS.EASE_FACTOR);
+        record.lastReviewDate = lastReviewOf(record);
+        return record;
+    }
+};
+
+// ─── Registry ───
+
+export const SCHEDULERS = { sm2, fsrs };
+
+export function getScheduler(id) {
+    return SCHEDULERS[id] || sm2;
+}
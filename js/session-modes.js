@@ -0,0 +1,173 @@
+// QuantPerfector — Session Modes (the built-in ones plus the user's own)
+//
+// A session runs from one resolved config whether its mode is built in or was saved
+// from the session builder. Custom modes live in the profile and sync with it.
+
+import { OPERATIONS, SESSION_MODES, SESSION_DEFAULTS, getOperatorSymbol } from './constants.js';
+
+export const TIMER_RULES = {
+    settings: 'As in settings',
+    fixed:    'Fixed',
+    adaptive: 'Adaptive (your pace)',
+    off:      'No per-problem timer'
+};
+
+// Bounds the builder enforces
+const LIMITS = {
+    minutes:      { min: 1, max: 120 },
+    problemCount: { min: 5, max: 500 },
+    warmupCount:  { min: 0, max: 50 },
+    timerSeconds: { min: 2, max: 120 },
+    feedbackMs:   { min: 0, max: 10000 }
+};
+
+const DRILL_DURATION = 300; // seconds
+
+// ─── Resolving ───
+
+function builtInConfig(id, mode, settings) {
+    if (mode.zetamac) return zetamacConfig(id, mode);
+    return {
+        id,
+        label: mode.label,
+        description: mode.description,
+        custom: false,
+        estimation: !!mode.estimation,
+        zetamac: false,
+        limit: 'time',
+        duration: settings.sessionDurations?.[id] ?? mode.duration,
+        problemCount: null,
+        warmupCount: mode.warmupCount,
+        challengeAt: SESSION_DEFAULTS.challengeAt,
+        operationMix: null,
+        timer: { rule: 'settings', seconds: null },
+        feedback: { ...SESSION_DEFAULTS.feedback }
+    };
+}
+
+// Zetamac's rules, whatever the settings say: its fixed length, answers that go in
+// as soon as they're right, and nothing between one problem and the next
+function zetamacConfig(id, mode) {
+    return {
+        id,
+        label: mode.label,
+        description: mode.description,
+        custom: false,
+        estimation: false,
+        zetamac: true,
+        limit: 'time',
+        duration: mode.duration,
+        problemCount: null,
+        warmupCount: 0,
+        challengeAt: 1,
+        operationMix: null,
+        timer: { rule: 'off', seconds: null },
+        feedback: { correctMs: 0, wrongMs: 0 }
+    };
+}
+
+/**
+ * Everything a session of mode `id` needs: a built-in mode (with the duration from
+ * settings) or one of `customModes`. Null for an unknown id.
+ */
+export function resolveMode(id, settings, customModes = []) {
+    if (SESSION_MODES[id]) return builtInConfig(id, SESSION_MODES[id], settings);
+    const mode = customModes.find(m => m.id === id);
+    if (!mode) return null;
+    return {
+        id,
+        label: mode.name,
+        description: describeMode(mode),
+        custom: true,
+        estimation: false,
+        zetamac: false,
+        limit: mode.limit,
+        duration: mode.limit === 'time' ? mode.duration : null,
+        problemCount: mode.limit === 'count' ? mode.problemCount : null,
+        warmupCount: mode.warmupCount,
+        challengeAt: mode.challengeAt,
+        operationMix: mode.operationMix,
+        timer: { ...mode.timer },
+        feedback: { ...mode.feedback }
+    };
+}
+
+/** The mistake drill: five minutes at the usual pace, no warmup or challenge. */
+export function drillConfig() {
+    return {
+        ...builtInConfig('drill', { label: 'Drill', description: '', duration: DRILL_DURATION, warmupCount: 0 }, {}),
+        challengeAt: 1
+    };
+}
+
+/** "10 min · × 60% ÷ 40%" — length and mix, for the mode's button. */
+export function describeMode(mode) {
+    const length = mode.limit === 'count' ? `${mode.problemCount} problems` : `${Math.round(mode.duration / 60)} min`;
+    const mix = Object.entries(mode.operationMix)
+        .filter(([, share]) => share > 0)
+        .sort((a, b) => b[1] - a[1])
+        .map(([op, share]) => `${getOperatorSymbol(op)} ${share}%`)
+        .join(' ');
+    return `${length} · ${mix}`;
+}
+
+// ─── Building ───
+
+/**
+ * Check builder input: { name, limit, minutes, problemCount, operationMix, warmupCount,
+ * challengePct, timerRule, timerSeconds, correctMs, wrongMs }. Returns what's wrong, if anything.
+ */
+export function validateCustomMode(fields) {
+    const errors = [];
+    const within = (value, { min, max }) => Number.isFinite(value) && value >= min && value <= max;
+
+    if (!fields.name) errors.push('Give the mode a name');
+    if (fields.limit === 'count') {
+        if (!within(fields.problemCount, LIMITS.problemCount)) {
+            errors.push(`Problem count must be ${LIMITS.problemCount.min}–${LIMITS.problemCount.max}`);
+        }
+    } else if (!within(fields.minutes, LIMITS.minutes)) {
+        errors.push(`Duration must be ${LIMITS.minutes.min}–${LIMITS.minutes.max} minutes`);
+    }
+
+    const shares = Object.values(fields.operationMix);
+    const total = shares.reduce((s, share) => s + share, 0);
+    if (shares.some(share => !Number.isFinite(share) || share < 0)) errors.push('Mix percentages can\'t be negative');
+    else if (total !== 100) errors.push(`The operation mix adds up to ${total}%, not 100%`);
+
+    if (!within(fields.warmupCount, LIMITS.warmupCount)) {
+        errors.push(`Warmup must be ${LIMITS.warmupCount.min}–${LIMITS.warmupCount.max} problems`);
+    }
+    if (!within(fields.challengePct, { min: 0, max: 100 })) errors.push('Challenge start must be 0–100%');
+    if (!TIMER_RULES[fields.timerRule]) errors.push('Pick a timer rule');
+    else if (fields.timerRule !== 'settings' && !within(fields.timerSeconds, LIMITS.timerSeconds)) {
+        errors.push(`Timer must be ${LIMITS.timerSeconds.min}–${LIMITS.timerSeconds.max} seconds`);
+    }
+    if (!within(fields.correctMs, LIMITS.feedbackMs) || !within(fields.wrongMs, LIMITS.feedbackMs)) {
+        errors.push(`Feedback pauses must be 0–${LIMITS.feedbackMs.max / 1000} seconds`);
+    }
+    return errors;
+}
+
+/** A custom mode from validated builder input. */
+export function createCustomMode(fields) {
+    const now = new Date().toISOString();
+    const operationMix = {};
+    for (const [op, share] of Object.entries(fields.operationMix)) {
+        if (share > 0 && OPERATIONS[op]) operationMix[op] = share;
+    }
+    return {
+        id: `mode_${Date.now()}`,
+        name: fields.name,
+        limit: fields.limit === 'count' ? 'count' : 'time',
+        duration: fields.limit === 'count' ? null : Math.round(fields.minutes * 60),
+        problemCount: fields.limit === 'count' ? fields.problemCount : null,
+        operationMix,
+        warmupCount: fields.warmupCount,
+        challengeAt: fields.challengePct / 100,
+        timer: { rule: fields.timerRule, seconds: fields.timerSeconds },
+        feedback: { correctMs: fields.correctMs, wrongMs: fields.wrongMs },
+        createdAt: now,
+        updatedAt: now
+    };
+}
@@ -0,0 +1,190 @@
+// QuantPerfector — Skill Taxonomy (what a problem exercises beyond its operation)
+
+import { PRECEDENCE, SIGNED_OPS, parseChainShape, isSignedProblem } from './constants.js';
+import { parseFraction } from './fractions.js';
+
+export const SKILLS = {
+    'add-no-carry':     { label: 'addition without carrying' },
+    'add-carry':        { label: 'carrying' },
+    'add-multi-carry':  { label: 'carrying in several columns' },
+    'sub-no-borrow':    { label: 'subtraction without borrowing' },
+    'sub-borrow':       { label: 'borrowing' },
+    'sub-borrow-zero':  { label: 'borrowing across zero' },
+    'mul-times-table':  { label: 'times tables' },
+    'mul-x5':           { label: '×5 pattern' },
+    'mul-x9':           { label: '×9 pattern' },
+    'mul-x11':          { label: '×11 pattern' },
+    'mul-2d-1d':        { label: '2-digit × 1-digit' },
+    'mul-2d-2d':        { label: '2-digit × 2-digit' },
+    'div-1d-divisor':   { label: 'dividing by a 1-digit number' },
+    'div-2d-divisor':   { label: 'dividing by a 2-digit number' },
+    'div-remainder':    { label: 'finding the remainder' },
+    'div-rounding':     { label: 'rounding a quotient' },
+    'pct-benchmark':    { label: 'benchmark percents (10%, 25%, 50%…)' },
+    'pct-general':      { label: 'general percents' },
+    'decimal-places':   { label: 'placing the decimal point' },
+    'frac-like':        { label: 'fractions with like denominators' },
+    'frac-unlike':      { label: 'finding a common denominator' },
+    'frac-multiply':    { label: 'multiplying fractions' },
+    'frac-to-decimal':  { label: 'fraction-to-decimal conversions' },
+    'squares':          { label: 'squares' },
+    'square-roots':     { label: 'square roots' },
+    'cubes':            { label: 'cubes' },
+    'cube-roots':       { label: 'cube roots' },
+    'powers-of-two':    { label: 'powers of two' },
+    'missing-operand':  { label: 'finding a missing operand' },
+    'multi-step':       { label: 'multi-step expressions' },
+    'order-of-operations': { label: 'order of operations' },
+    'estimation':       { label: 'estimation' },
+    'signed-numbers':   { label: 'negative numbers' }
+};
+
+export function skillLabel(skill) {
+    return SKILLS[skill]?.label || skill;
+}
+
+function digitCount(n) {
+    return String(Math.abs(n)).length;
+}
+
+// Number of columns that carry when adding a + b
+function countCarries(a, b) {
+    let carry = 0;
+    let count = 0;
+    while (a > 0 || b > 0) {
+        carry = (a % 10) + (b % 10) + carry >= 10 ? 1 : 0;
+        count += carry;
+        a = Math.floor(a / 10);
+        b = Math.floor(b / 10);
+    }
+    return count;
+}
+
+// Borrows in a - b, and whether one has to pass through a zero digit (304 − 127)
+function countBorrows(a, b) {
+    let borrow = 0;
+    let count = 0;
+    let acrossZero = false;
+    while (a > 0 || b > 0) {
+        const da = a % 10;
+        if (borrow && da === 0) acrossZero = true;
+        borrow = da - borrow < b % 10 ? 1 : 0;
+        count += borrow;
+        a = Math.floor(a / 10);
+        b = Math.floor(b / 10);
+    }
+    return { count, acrossZero };
+}
+
+/**
+ * Skill tags for a problem, from its operation and operands (works on records too).
+ * A missing-operand `format` adds inverse recall on top of the forward skills.
+ */
+export function classifySkills(operation, a, b, format = null) {
+    const skills = forwardSkills(operation, a, b);
+    return format ? [...skills, 'missing-operand'] : skills;
+}
+
+function forwardSkills(operation, a, b) {
+    if (SIGNED_OPS.includes(operation) && isSignedProblem(operation, a, b)) return signedSkills(operation, a, b);
+    switch (operation) {
+        case 'add': {
+            const carries = countCarries(a, b);
+            if (carries === 0) return ['add-no-carry'];
+            return carries > 1 ? ['add-carry', 'add-multi-carry'] : ['add-carry'];
+        }
+        case 'sub': {
+            const { count, acrossZero } = countBorrows(a, b);
+            if (count === 0) return ['sub-no-borrow'];
+            return acrossZero ? ['sub-borrow', 'sub-borrow-zero'] : ['sub-borrow'];
+        }
+        case 'mul': {
+            const skills = [];
+            if (a <= 10 && b <= 10) skills.push('mul-times-table');
+            if (a === 5 || b === 5) skills.push('mul-x5');
+            if (a === 9 || b === 9) skills.push('mul-x9');
+            if (a === 11 || b === 11) skills.push('mul-x11');
+            const digits = [digitCount(a), digitCount(b)].sort().join('');
+            if (digits === '12') skills.push('mul-2d-1d');
+            if (digits === '22') skills.push('mul-2d-2d');
+            return skills;
+        }
+        case 'div':
+            return [digitCount(b) === 1 ? 'div-1d-divisor' : 'div-2d-divisor'];
+        case 'divr':
+            return [digitCount(b) === 1 ? 'div-1d-divisor' : 'div-2d-divisor', 'div-remainder'];
+        case 'divd':
+            return [digitCount(b) === 1 ? 'div-1d-divisor' : 'div-2d-divisor', 'div-rounding'];
+        case 'pct':
+            return [[1, 5, 10, 20, 25, 50, 75].includes(a) ? 'pct-benchmark' : 'pct-general'];
+        case 'dmul':
+        case 'ddiv':
+            return ['decimal-places'];
+        case 'fadd':
+        case 'fsub': {
+            const x = parseFraction(a);
+            const y = parseFraction(b);
+            if (!x || !y) return [];
+            return [x.d === y.d ? 'frac-like' : 'frac-unlike'];
+        }
+        case 'fmul':
+            return ['frac-multiply'];
+        case 'fdec':
+            return ['frac-to-decimal'];
+        case 'sq':   return ['squares'];
+        case 'sqrt': return ['square-roots'];
+        case 'cube': return ['cubes'];
+        case 'cbrt': return ['cube-roots'];
+        case 'pow2': return ['powers-of-two'];
+        case 'chain': {
+            // Chains are keyed by shape ("add-mul:2d"); mixed precedence means brackets matter
+            const { ops } = parseChainShape(a);
+            const mixed = new Set(ops.map(op => PRECEDENCE[op])).size > 1;
+            return mixed ? ['multi-step', 'order-of-operations'] : ['multi-step'];
+        }
+        case 'est':
+            return ['estimation'];
+        default:
+            return [];
+    }
+}
+
+// Signed products and quotients still exercise the underlying fact; signed sums and
+// differences are mostly about the sign rules
+function signedSkills(operation, a, b) {
+    if (operation === 'mul' || operation === 'div') {
+        return [...forwardSkills(operation, Math.abs(a), Math.abs(b)), 'signed-numbers'];
+    }
+    return ['signed-numbers'];
+}
+
+/**
+ * Accuracy and speed per skill tag over a list of attempts, optionally for one
+ * operation. Attempts logged before skills were recorded are classified on the fly.
+ */
+export function summarizeSkills(attempts, operation = null) {
+    const bySkill = {};
+    for (const a of attempts) {
+        if (operation && a.operation !== operation) continue;
+        for (const skill of attemptSkills(a)) {
+            if (!bySkill[skill]) bySkill[skill] = { skill, label: skillLabel(skill), attempts: 0, correct: 0, timed: 0, totalTimeMs: 0 };
+            bySkill[skill].attempts++;
+            if (a.isCorrect) bySkill[skill].correct++;
+            if (a.interrupted) continue;
+            bySkill[skill].timed++;
+            bySkill[skill].totalTimeMs += a.responseTimeMs;
+        }
+    }
+
+    return Object.values(bySkill).map(s => ({
+        skill: s.skill,
+        label: s.label,
+        attempts: s.attempts,
+        accuracy: s.correct / s.attempts,
+        avgTimeMs: s.timed > 0 ? s.totalTimeMs / s.timed : 0
+    }));
+}
+
+export function attemptSkills(attempt) {
+    return attempt.skills || classifySkills(attempt.operation, attempt.operandA, attempt.operandB, attempt.format);
+}
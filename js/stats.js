@@ -1,21 +1,26 @@
 // QuantPerfector — Statistics & Analytics
 
 import { getSessions, getAttemptLog, getAllProblemRecords, getPersonalBests, getSettings } from './storage.js';
-import { getOperatorSymbol } from './constants.js';
+import { OPERATIONS, PRACTICE_ORDERS, SESSION_MODES, getOperatorSymbol, canonicalizeProblemKey, problemParts,
+         isFactMastered, timedAttempts, averageTimeMs, HINTS } from './constants.js';
+import { summarizeSkills } from './skills.js';
+import { summarizeErrorPatterns } from './mistakes.js';
+import { engine } from './browser-engine.js';
 
 export function getOperationStats(operation) {
     const records = Object.values(getAllProblemRecords()).filter(r => r.operation === operation);
     if (records.length === 0) return null;
 
-    let totalAttempts = 0, totalCorrect = 0, totalTimeMs = 0;
+    let totalAttempts = 0, totalCorrect = 0, totalTimeMs = 0, timed = 0;
     for (const r of records) {
         totalAttempts += r.totalAttempts;
         totalCorrect += r.totalCorrect;
         totalTimeMs += r.totalTimeMs;
+        timed += timedAttempts(r);
     }
 
     const accuracy = totalAttempts > 0 ? totalCorrect / totalAttempts : 0;
-    const avgTimeMs = totalAttempts > 0 ? totalTimeMs / totalAttempts : 0;
+    const avgTimeMs = timed > 0 ? totalTimeMs / timed : 0;
 
     // Trend: compare last 7 days vs previous 7 days
     const log = getAttemptLog();
@@ -38,12 +43,22 @@ export function getOperationStats(operation) {
     return { totalAttempts, totalCorrect, accuracy, avgTimeMs, trend };
 }
 
+/** Wrong answers by likely cause across the attempt log, most common first. */
+export function getErrorPatternStats() {
+    return summarizeErrorPatterns(getAttemptLog());
+}
+
+/** Accuracy and speed per skill tag from the attempt log, optionally for one operation. */
+export function getSkillStats(operation = null) {
+    return summarizeSkills(getAttemptLog(), operation);
+}
+
 export function getWeakestProblems(limit = 5) {
     const records = Object.values(getAllProblemRecords()).filter(r => r.totalAttempts >= 2);
 
     const scored = records.map(r => {
         const accuracy = r.totalCorrect / r.totalAttempts;
-        const avgTime = r.totalTimeMs / r.totalAttempts;
+        const avgTime = averageTimeMs(r) ?? 0;
         const weakness = (1 - accuracy) * 50 + (avgTime / 1000) * 10 + (r.easeFactor < 2 ? 20 : 0);
         return { record: r, weakness };
     });
@@ -56,8 +71,47 @@ export function getSessionHistory(limit = 20) {
     return getSessions().slice(-limit).reverse();
 }
 
+/**
+ * Delayed recall per practice ordering: for each problem practised in a session, how
+ * the first attempt at it in a later session went. Sessions from before the ordering
+ * was logged were interleaved, the only ordering there was; mix-driven sessions are left out.
+ */
+export function getRetentionByOrder() {
+    const orderOf = new Map();
+    const sessionCounts = {};
+    for (const s of getSessions()) {
+        if (SESSION_MODES[s.mode]?.estimation || SESSION_MODES[s.mode]?.zetamac || s.practiceOrder === 'mix') continue;
+        const order = s.practiceOrder || 'interleaved';
+        orderOf.set(s.id, order);
+        sessionCounts[order] = (sessionCounts[order] || 0) + 1;
+    }
+
+    const lastPractised = new Map(); // problem key → { sessionId, order }
+    const tally = {};
+    for (const a of getAttemptLog()) {
+        const prev = lastPractised.get(a.problemKey);
+        if (prev && prev.sessionId !== a.sessionId) {
+            if (!tally[prev.order]) tally[prev.order] = { reviews: 0, recalled: 0 };
+            tally[prev.order].reviews++;
+            if (a.isCorrect) tally[prev.order].recalled++;
+            lastPractised.delete(a.problemKey);
+        }
+        const order = orderOf.get(a.sessionId);
+        if (order) lastPractised.set(a.problemKey, { sessionId: a.sessionId, order });
+    }
+
+    return Object.entries(PRACTICE_ORDERS).map(([order, { label }]) => ({
+        order,
+        label,
+        sessions: sessionCounts[order] || 0,
+        reviews: tally[order]?.reviews || 0,
+        retention: tally[order] ? tally[order].recalled / tally[order].reviews : null
+    }));
+}
+
 export function getImprovementTrend(days = 30) {
-    const log = getAttemptLog();
+    // Estimates are graded on closeness, not exactness — they get their own trend
+    const log = getAttemptLog().filter(a => !a.estimate);
     const now = Date.now();
     const result = { dates: [], accuracy: [], speed: [] };
 
@@ -74,7 +128,9 @@ export function getImprovementTrend(days = 30) {
 
         if (dayAttempts.length > 0) {
             result.accuracy.push(dayAttempts.filter(a => a.isCorrect).length / dayAttempts.length);
-            result.speed.push(dayAttempts.reduce((s, a) => s + a.responseTimeMs, 0) / dayAttempts.length / 1000);
+            // Interrupted attempts would read as slowness
+            const timed = dayAttempts.filter(a => !a.interrupted);
+            result.speed.push(timed.length > 0 ? timed.reduce((s, a) => s + a.responseTimeMs, 0) / timed.length / 1000 : null);
         } else {
             result.accuracy.push(null);
             result.speed.push(null);
@@ -84,6 +140,32 @@ export function getImprovementTrend(days = 30) {
     return result;
 }
 
+export function getEstimationTrend(days = 30) {
+    const log = getAttemptLog().filter(a => a.estimate);
+    const now = Date.now();
+    const result = { dates: [], accuracy: [], errorPct: [], total: log.length };
+
+    for (let d = days - 1; d >= 0; d--) {
+        const dayStart = now - (d + 1) * 86400000;
+        const dayEnd = now - d * 86400000;
+        const dayAttempts = log.filter(a => {
+            const t = new Date(a.timestamp).getTime();
+            return t >= dayStart && t < dayEnd;
+        });
+        const answered = dayAttempts.filter(a => a.errorPct !== null && a.errorPct !== undefined);
+
+        const date = new Date(dayEnd);
+        result.dates.push(`${date.getMonth() + 1}/${date.getDate()}`);
+
+        result.accuracy.push(dayAttempts.length > 0
+            ? dayAttempts.filter(a => a.isCorrect).length / dayAttempts.length : null);
+        result.errorPct.push(answered.length > 0
+            ? answered.reduce((s, a) => s + a.errorPct, 0) / answered.length : null);
+    }
+
+    return result;
+}
+
 export function getFocusRecommendation() {
     const settings = getSettings();
     const enabledOps = Object.keys(settings.operationRanges).filter(op => settings.operationRanges[op].enabled);
@@ -122,7 +204,25 @@ export function getFocusRecommendation() {
         else if (stats.trend === 'declining') reason = 'Declining performance';
     }
 
-    return { operation: worstOp, reason, symbol: getOperatorSymbol(worstOp) };
+    // Narrow it down to the skill dragging the operation down, if one stands out
+    const skill = getWeakestSkill(worstOp, stats);
+    if (skill) {
+        reason = skill.accuracy < 0.7
+            ? `Only ${Math.round(skill.accuracy * 100)}% accuracy`
+            : `Slow average: ${(skill.avgTimeMs / 1000).toFixed(1)}s`;
+    }
+
+    return { operation: worstOp, reason, symbol: getOperatorSymbol(worstOp), skill: skill ? skill.label : null };
+}
+
+function getWeakestSkill(operation, opStats) {
+    if (!opStats || opStats.totalAttempts < 10) return null;
+    const candidates = getSkillStats(operation).filter(s =>
+        s.attempts >= 8 &&
+        (s.accuracy < opStats.accuracy - 0.1 || s.avgTimeMs > opStats.avgTimeMs * 1.3));
+    if (candidates.length === 0) return null;
+    candidates.sort((a, b) => a.accuracy - b.accuracy || b.avgTimeMs - a.avgTimeMs);
+    return candidates[0];
 }
 
 export function getWeaknessMap(operation) {
@@ -145,23 +245,7 @@ export function getWeaknessMap(operation) {
                     key = `div:${a * b}x${b}`;
                 }
 
-                const r = records[key];
-                if (!r || r.totalAttempts === 0) {
-                    row.push({ value: null, label: operation === 'mul' ? `${a * b}` : `${a}`, attempts: 0 });
-                } else {
-                    const acc = r.totalCorrect / r.totalAttempts;
-                    const avgTime = r.totalTimeMs / r.totalAttempts;
-                    // Composite score: accuracy weighted 70%, speed 30%
-                    const speedScore = Math.max(0, 1 - avgTime / 10000);
-                    const value = acc * 0.7 + speedScore * 0.3;
-                    row.push({
-                        value,
-                        label: operation === 'mul' ? `${a * b}` : `${a}`,
-                        attempts: r.totalAttempts,
-                        accuracy: Math.round(acc * 100),
-                        avgTime: (avgTime / 1000).toFixed(1)
-                    });
-                }
+                row.push(weaknessCell(records[key], operation === 'mul' ? `${a * b}` : `${a}`));
             }
             grid.push(row);
         }
@@ -174,15 +258,137 @@ export function getWeaknessMap(operation) {
     };
 }
 
+/**
+ * Weakness grid for single-operand facts. Squares are laid out tens × ones
+ * (row 4, column 7 is 47²); the smaller families fit on a single row.
+ */
+export function getUnaryWeaknessMap(operation) {
+    const settings = getSettings();
+    const range = settings.operationRanges[operation];
+    if (!range || OPERATIONS[operation]?.category !== 'unary') return null;
+
+    const records = getAllProblemRecords();
+    const cellFor = (n) => {
+        const operand = operation === 'sqrt' ? n * n : operation === 'cbrt' ? n * n * n : n;
+        const cell = weaknessCell(records[canonicalizeProblemKey(operation, operand, null)], `${n}`);
+        cell.title = problemParts(operation, operand, null)[0];
+        return cell;
+    };
+
+    if (operation === 'sq' && range.maxA >= 10) {
+        const firstTens = Math.floor(range.minA / 10);
+        const lastTens = Math.floor(range.maxA / 10);
+        const rows = [];
+        const grid = [];
+        for (let t = firstTens; t <= lastTens; t++) {
+            rows.push(t * 10);
+            const row = [];
+            for (let o = 0; o < 10; o++) {
+                const n = t * 10 + o;
+                row.push(n < range.minA || n > range.maxA ? { value: null, label: '', attempts: 0 } : cellFor(n));
+            }
+            grid.push(row);
+        }
+        return { rows, cols: Array.from({ length: 10 }, (_, i) => i), grid };
+    }
+
+    const cols = Array.from({ length: range.maxA - range.minA + 1 }, (_, i) => range.minA + i);
+    return { rows: [getOperatorSymbol(operation)], cols, grid: [cols.map(cellFor)] };
+}
+
+function weaknessCell(r, label) {
+    if (!r || r.totalAttempts === 0) {
+        return { value: null, label, attempts: 0 };
+    }
+    const acc = r.totalCorrect / r.totalAttempts;
+    const avgTime = averageTimeMs(r) ?? 0;
+    // Composite score: accuracy weighted 70%, speed 30%
+    const speedScore = Math.max(0, 1 - avgTime / 10000);
+    const value = acc * 0.7 + speedScore * 0.3;
+    return {
+        value,
+        label,
+        attempts: r.totalAttempts,
+        accuracy: Math.round(acc * 100),
+        avgTime: (avgTime / 1000).toFixed(1)
+    };
+}
+
+/** Mastered facts per operation, out of the operation's current pool. */
+export function getMasteryByOperation() {
+    const persisted = getAllProblemRecords();
+    const byOp = new Map();
+    for (const poolRecord of engine.pool()) {
+        const op = poolRecord.operation;
+        if (!byOp.has(op)) byOp.set(op, { operation: op, symbol: getOperatorSymbol(op), name: OPERATIONS[op].name, mastered: 0, total: 0 });
+        const entry = byOp.get(op);
+        entry.total++;
+        if (isFactMastered(persisted[poolRecord.key])) entry.mastered++;
+    }
+    return [...byOp.values()].map(e => ({ ...e, share: e.mastered / e.total }));
+}
+
+/**
+ * Facts that still lean on hints: how many of each fact's latest attempts revealed
+ * one. Most dependent first.
+ */
+export function getHintDependence(limit = 8) {
+    const latest = new Map(); // problem key → its last few attempts, oldest first
+    for (const a of getAttemptLog()) {
+        if (a.estimate) continue;
+        if (!latest.has(a.problemKey)) latest.set(a.problemKey, []);
+        const attempts = latest.get(a.problemKey);
+        attempts.push(a);
+        if (attempts.length > HINTS.RECENT_WINDOW) attempts.shift();
+    }
+
+    const facts = [];
+    for (const [key, attempts] of latest) {
+        const hinted = attempts.filter(a => a.hintsUsed > 0).length;
+        if (hinted === 0) continue;
+        const last = attempts[attempts.length - 1];
+        const parts = problemParts(last.operation, last.operandA, last.operandB);
+        if (last.format) parts[last.format === '?a' ? 0 : 2] = '?';
+        facts.push({
+            key,
+            label: parts.filter(Boolean).join(' '),
+            hinted,
+            attempts: attempts.length,
+            share: hinted / attempts.length
+        });
+    }
+    facts.sort((a, b) => b.share - a.share || b.hinted - a.hinted);
+    return facts.slice(0, limit);
+}
+
+/**
+ * Scores of the latest Zetamac runs, oldest first, and the best ever — kept in the
+ * profile, so it outlives the session history.
+ */
+export function getZetamacScores(limit = 30) {
+    const runs = getSessions().filter(s => s.mode === 'zetamac' && s.score !== undefined).slice(-limit);
+    const best = Math.max(getPersonalBests().zetamacScore || 0, ...runs.map(s => s.score));
+    return {
+        scores: runs.map(s => s.score),
+        dates: runs.map(s => {
+            const date = new Date(s.startTime);
+            return `${date.getMonth() + 1}/${date.getDate()}`;
+        }),
+        best,
+        average: runs.length > 0 ? runs.reduce((sum, s) => sum + s.score, 0) / runs.length : 0
+    };
+}
+
 export function getAllTimeStats() {
     const sessions = getSessions();
     const pb = getPersonalBests();
+    const graded = sessions.filter(s => s.score === undefined); // Zetamac runs keep no accuracy
 
     return {
         totalSessions: sessions.length,
         totalProblems: sessions.reduce((s, sess) => s + sess.totalProblems, 0),
-        overallAccuracy: sessions.length > 0
-            ? sessions.reduce((s, sess) => s + sess.accuracy, 0) / sessions.length
+        overallAccuracy: graded.length > 0
+            ? graded.reduce((s, sess) => s + sess.accuracy, 0) / graded.length
             : 0,
         personalBests: pb
     };
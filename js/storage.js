@@ -1,6 +1,6 @@
 // QuantPerfector — Storage Layer (localStorage with in-memory cache)
 
-import { DEFAULT_SETTINGS, SM2_DEFAULTS } from './constants.js';
+import { DEFAULT_SETTINGS } from './constants.js';
 import { enqueue, enqueueProfile, flushNow, pullFromCloud, mergeCloudIntoLocal, setupConnectivityListeners } from './sync.js';
 import { isOffline } from './firebase.js';
 
@@ -21,10 +21,17 @@ function defaultData() {
                 longestStreak: 0,
                 fastestCorrect: null,
                 highestSessionAccuracy: 0,
-                mostProblemsInSession: 0
-            }
+                mostProblemsInSession: 0,
+                zetamacScore: 0
+            },
+            rangeHistory: [],
+            customModes: [],   // session builder modes — see session-modes.js
+            deletedModeIds: []
         },
         problemRecords: {},
+        deletedRecordKeys: [], // tombstones so a cloud pull doesn't bring folded records back
+        problemSets: {},       // custom problem sets by id — see problem-sets.js
+        deletedProblemSetIds: [],
         sessions: [],
         attemptLog: []
     };
@@ -43,14 +50,7 @@ export function loadAll() {
     try {
         const raw = localStorage.getItem(STORAGE_KEY);
         if (raw) {
-            cache = JSON.parse(raw);
-            // Ensure all fields exist (schema migration)
-            if (!cache.profile) cache.profile = defaultData().profile;
-            if (!cache.problemRecords) cache.problemRecords = {};
-            if (!cache.sessions) cache.sessions = [];
-            if (!cache.attemptLog) cache.attemptLog = [];
-            if (!cache.profile.settings) cache.profile.settings = JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
-            if (!cache.profile.personalBests) cache.profile.personalBests = defaultData().profile.personalBests;
+            cache = migrate(JSON.parse(raw));
             return cache;
         }
     } catch (e) {
@@ -61,6 +61,42 @@ export function loadAll() {
     return cache;
 }
 
+// Ensure all fields exist (schema migration) — for stored data and imported backups alike
+function migrate(data) {
+    if (!data.profile) data.profile = defaultData().profile;
+    if (!data.problemRecords) data.problemRecords = {};
+    if (!data.sessions) data.sessions = [];
+    if (!data.attemptLog) data.attemptLog = [];
+    if (!data.deletedRecordKeys) data.deletedRecordKeys = [];
+    if (!data.problemSets) data.problemSets = {};
+    if (!data.deletedProblemSetIds) data.deletedProblemSetIds = [];
+    if (!data.profile.settings) data.profile.settings = JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+    normalizeSettings(data.profile.settings);
+    if (!data.profile.personalBests) data.profile.personalBests = defaultData().profile.personalBests;
+    if (!data.profile.rangeHistory) data.profile.rangeHistory = [];
+    if (!data.profile.customModes) data.profile.customModes = [];
+    if (!data.profile.deletedModeIds) data.profile.deletedModeIds = [];
+    return data;
+}
+
+// Fill in settings added since the data was saved (new operations, new range params)
+function normalizeSettings(settings) {
+    const defaults = JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+    for (const [key, value] of Object.entries(defaults)) {
+        if (settings[key] === undefined) settings[key] = value;
+    }
+    for (const [op, range] of Object.entries(defaults.operationRanges)) {
+        if (!settings.operationRanges[op]) {
+            settings.operationRanges[op] = range;
+            continue;
+        }
+        for (const [param, value] of Object.entries(range)) {
+            if (settings.operationRanges[op][param] === undefined) settings.operationRanges[op][param] = value;
+        }
+    }
+    return settings;
+}
+
 export function saveAll(data) {
     cache = data;
     persist();
@@ -98,30 +134,93 @@ export function getAllProblemRecords() {
 }
 
 export function saveProblemRecord(key, record) {
-    loadAll().problemRecords[key] = record;
+    const data = loadAll();
+    data.problemRecords[key] = record;
+    clearTombstones(data, [key]);
     persist();
     enqueue('problemRecords', record);
 }
 
-export function createProblemRecord(key, operation, a, b, answer) {
-    return {
-        key,
-        operation,
-        operandA: a,
-        operandB: b,
-        correctAnswer: answer,
-        easeFactor: SM2_DEFAULTS.EASE_FACTOR,
-        interval: 0,
-        repetitions: 0,
-        nextReviewDate: null,
-        totalAttempts: 0,
-        totalCorrect: 0,
-        totalTimeMs: 0,
-        lastAttemptDate: null,
-        lastResponseTimeMs: null,
-        streak: 0,
-        bestStreak: 0
-    };
+// Batch save (scheduler conversion) — one localStorage write for the lot
+export function saveProblemRecords(records) {
+    const data = loadAll();
+    for (const record of records) {
+        data.problemRecords[record.key] = record;
+        enqueue('problemRecords', record);
+    }
+    clearTombstones(data, records.map(r => r.key));
+    persist();
+}
+
+// A folded key can come back (say the range moves back); from then on it syncs again
+function clearTombstones(data, keys) {
+    if (data.deletedRecordKeys.length === 0) return;
+    const revived = new Set(keys);
+    data.deletedRecordKeys = data.deletedRecordKeys.filter(key => !revived.has(key));
+}
+
+export function deleteProblemRecords(keys) {
+    const data = loadAll();
+    const tombstones = new Set(data.deletedRecordKeys);
+    for (const key of keys) {
+        delete data.problemRecords[key];
+        tombstones.add(key);
+        enqueue('deletedProblemRecords', { key });
+    }
+    data.deletedRecordKeys = [...tombstones];
+    persist();
+}
+
+// ─── Problem Sets ───
+
+export function getProblemSets() {
+    return Object.values(loadAll().problemSets)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+export function getProblemSet(id) {
+    return loadAll().problemSets[id] || null;
+}
+
+export function saveProblemSet(set) {
+    set.updatedAt = new Date().toISOString();
+    loadAll().problemSets[set.id] = set;
+    persist();
+    enqueue('problemSets', set);
+}
+
+export function deleteProblemSet(id) {
+    const data = loadAll();
+    delete data.problemSets[id];
+    if (!data.deletedProblemSetIds.includes(id)) data.deletedProblemSetIds.push(id);
+    persist();
+    enqueue('deletedProblemSets', { id });
+}
+
+// ─── Custom Session Modes ───
+
+export function getCustomModes() {
+    return loadAll().profile.customModes;
+}
+
+function syncCustomModes(profile) {
+    persist();
+    enqueueProfile({ customModes: profile.customModes, deletedModeIds: profile.deletedModeIds });
+}
+
+export function saveCustomMode(mode) {
+    const profile = loadAll().profile;
+    mode.updatedAt = new Date().toISOString();
+    profile.customModes = [...profile.customModes.filter(m => m.id !== mode.id), mode]
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    syncCustomModes(profile);
+}
+
+export function deleteCustomMode(id) {
+    const profile = loadAll().profile;
+    profile.customModes = profile.customModes.filter(m => m.id !== id);
+    if (!profile.deletedModeIds.includes(id)) profile.deletedModeIds.push(id);
+    syncCustomModes(profile);
 }
 
 export function logAttempt(attempt) {
@@ -144,11 +243,15 @@ export function saveSession(session) {
     if (data.sessions.length > MAX_SESSIONS) {
         data.sessions = data.sessions.slice(-MAX_SESSIONS);
     }
-    // Update personal bests
+    // Update personal bests; a scored (Zetamac) run only counts towards its own
     const pb = data.profile.personalBests;
-    if (session.streakPeak > pb.longestStreak) pb.longestStreak = session.streakPeak;
-    if (session.accuracy > pb.highestSessionAccuracy) pb.highestSessionAccuracy = session.accuracy;
-    if (session.totalProblems > pb.mostProblemsInSession) pb.mostProblemsInSession = session.totalProblems;
+    if (session.score !== undefined) {
+        if (session.score > (pb.zetamacScore || 0)) pb.zetamacScore = session.score;
+    } else {
+        if (session.streakPeak > pb.longestStreak) pb.longestStreak = session.streakPeak;
+        if (session.accuracy > pb.highestSessionAccuracy) pb.highestSessionAccuracy = session.accuracy;
+        if (session.totalProblems > pb.mostProblemsInSession) pb.mostProblemsInSession = session.totalProblems;
+    }
     persist();
     enqueue('sessions', session);
     // Sync profile (XP + personal bests) and flush immediately at session end
@@ -167,6 +270,17 @@ export function updatePersonalBestSpeed(key, timeMs) {
     }
 }
 
+export function getRangeHistory() {
+    return loadAll().profile.rangeHistory;
+}
+
+export function addRangeChange(change) {
+    const profile = loadAll().profile;
+    profile.rangeHistory.push(change);
+    persist();
+    enqueueProfile({ rangeHistory: profile.rangeHistory });
+}
+
 export function getSessions() {
     return loadAll().sessions;
 }
@@ -184,7 +298,7 @@ export function importData(jsonString) {
     if (!data.version || !data.profile || !data.problemRecords) {
         throw new Error('Invalid QuantPerfector data format');
     }
-    cache = data;
+    cache = migrate(data);
     persist();
     return cache;
 }
@@ -208,6 +322,7 @@ export async function syncOnLoad() {
         if (cloudData) {
             const local = loadAll();
             mergeCloudIntoLocal(local, cloudData);
+            normalizeSettings(local.profile.settings);
             persist();
             return true;
         }
@@ -115,6 +115,18 @@ async function flush() {
                         updated_at: fs.serverTimestamp()
                     }, { merge: true });
                     batchCount++;
+                } else if (item.collection === 'deletedProblemRecords') {
+                    const docId = sanitizeDocId(item.data.key);
+                    writeBatch.delete(fs.doc(db, 'users', user.uid, 'problem_records', docId));
+                    batchCount++;
+                } else if (item.collection === 'problemSets') {
+                    // Problem sets: users/{uid}/problem_sets/{setId}
+                    const ref = fs.doc(db, 'users', user.uid, 'problem_sets', sanitizeDocId(item.data.id));
+                    writeBatch.set(ref, camelToSnake(item.data));
+                    batchCount++;
+                } else if (item.collection === 'deletedProblemSets') {
+                    writeBatch.delete(fs.doc(db, 'users', user.uid, 'problem_sets', sanitizeDocId(item.data.id)));
+                    batchCount++;
                 } else if (item.collection === 'sessions') {
                     // Sessions: users/{uid}/sessions/{clientId}
                     const docId = sanitizeDocId(item.data.id);
@@ -190,19 +202,21 @@ export async function pullFromCloud() {
     try {
         setSyncStatus('syncing');
 
-        // Fetch profile, problem records, sessions, attempts in parallel
-        const [profileSnap, recordsSnap, sessionsSnap, attemptsSnap] = await Promise.all([
+        // Fetch profile, problem records, sessions, attempts, problem sets in parallel
+        const [profileSnap, recordsSnap, sessionsSnap, attemptsSnap, setsSnap] = await Promise.all([
             fs.getDoc(fs.doc(db, 'users', user.uid)),
             fs.getDocs(fs.collection(db, 'users', user.uid, 'problem_records')),
             fs.getDocs(fs.collection(db, 'users', user.uid, 'sessions')),
-            fs.getDocs(fs.collection(db, 'users', user.uid, 'attempts'))
+            fs.getDocs(fs.collection(db, 'users', user.uid, 'attempts')),
+            fs.getDocs(fs.collection(db, 'users', user.uid, 'problem_sets'))
         ]);
 
         const cloudData = {
             profile: profileSnap.exists() ? snakeToCamel(profileSnap.data()) : null,
             problemRecords: {},
             sessions: [],
-            attempts: []
+            attempts: [],
+            problemSets: []
         };
 
         recordsSnap.forEach(doc => {
@@ -218,6 +232,10 @@ export async function pullFromCloud() {
             cloudData.attempts.push(snakeToCamel(doc.data()));
         });
 
+        setsSnap.forEach(doc => {
+            cloudData.problemSets.push(snakeToCamel(doc.data()));
+        });
+
         setSyncStatus('synced');
         return cloudData;
     } catch (err) {
@@ -235,6 +253,8 @@ export async function pullFromCloud() {
  *   - Personal bests: max of each field
  *   - Problem records: more attempts wins
  *   - Sessions/attempts: deduplicate by id
+ *   - Problem sets: latest edit wins; sets deleted locally stay deleted
+ *   - Custom session modes: latest edit wins; a mode deleted on either side stays deleted
  */
 export function mergeCloudIntoLocal(localData, cloudData) {
     if (!cloudData) return localData;
@@ -258,15 +278,42 @@ export function mergeCloudIntoLocal(localData, cloudData) {
         lpb.longestStreak = Math.max(lpb.longestStreak || 0, cpb.longestStreak || 0);
         lpb.highestSessionAccuracy = Math.max(lpb.highestSessionAccuracy || 0, cpb.highestSessionAccuracy || 0);
         lpb.mostProblemsInSession = Math.max(lpb.mostProblemsInSession || 0, cpb.mostProblemsInSession || 0);
+        lpb.zetamacScore = Math.max(lpb.zetamacScore || 0, cpb.zetamacScore || 0);
         if (cpb.fastestCorrect) {
             if (!lpb.fastestCorrect || cpb.fastestCorrect.timeMs < lpb.fastestCorrect.timeMs) {
                 lpb.fastestCorrect = cpb.fastestCorrect;
             }
         }
+
+        // Range history: union by id, in date order
+        if (cloudData.profile.rangeHistory) {
+            const ids = new Set((localData.profile.rangeHistory || []).map(c => c.id));
+            localData.profile.rangeHistory = [
+                ...(localData.profile.rangeHistory || []),
+                ...cloudData.profile.rangeHistory.filter(c => !ids.has(c.id))
+            ].sort((x, y) => x.date.localeCompare(y.date));
+        }
+
+        // Custom session modes: latest edit wins, deletions from either side hold
+        const deletedModes = new Set([
+            ...(localData.profile.deletedModeIds || []),
+            ...(cloudData.profile.deletedModeIds || [])
+        ]);
+        const modes = new Map((localData.profile.customModes || []).map(m => [m.id, m]));
+        for (const cloudMode of cloudData.profile.customModes || []) {
+            const localMode = modes.get(cloudMode.id);
+            if (!localMode || (cloudMode.updatedAt || '') > (localMode.updatedAt || '')) modes.set(cloudMode.id, cloudMode);
+        }
+        localData.profile.customModes = [...modes.values()]
+            .filter(m => !deletedModes.has(m.id))
+            .sort((x, y) => (x.createdAt || '').localeCompare(y.createdAt || ''));
+        localData.profile.deletedModeIds = [...deletedModes];
     }
 
-    // Problem records merge: more attempts wins
+    // Problem records merge: more attempts wins; records deleted locally stay deleted
+    const deleted = new Set(localData.deletedRecordKeys || []);
     for (const [key, cloudRec] of Object.entries(cloudData.problemRecords)) {
+        if (deleted.has(key)) continue;
         const localRec = localData.problemRecords[key];
         if (!localRec) {
             localData.problemRecords[key] = cloudRec;
@@ -275,6 +322,17 @@ export function mergeCloudIntoLocal(localData, cloudData) {
         }
     }
 
+    // Problem sets: latest edit wins
+    const deletedSets = new Set(localData.deletedProblemSetIds || []);
+    if (!localData.problemSets) localData.problemSets = {};
+    for (const cloudSet of cloudData.problemSets || []) {
+        if (!cloudSet.id || deletedSets.has(cloudSet.id)) continue;
+        const localSet = localData.problemSets[cloudSet.id];
+        if (!localSet || (cloudSet.updatedAt || '') > (localSet.updatedAt || '')) {
+            localData.problemSets[cloudSet.id] = cloudSet;
+        }
+    }
+
     // Sessions: deduplicate by id
     const localSessionIds = new Set(localData.sessions.map(s => s.id));
     for (const cloudSession of cloudData.sessions) {
@@ -1,11 +1,15 @@
 // QuantPerfector — UI Layer (DOM, animations, Web Audio sounds)
 
-import { getOperatorSymbol, STREAK_LEVELS, generateHint, getLevel, xpProgress, xpForLevel } from './constants.js';
+import { OPERATIONS, getOperatorSymbol, problemParts, formatChainSteps, STREAK_LEVELS, generateHint, getLevel, xpProgress, xpForLevel,
+         generateMissingOperandHint, formatSigned, SIGNED_OPS } from './constants.js';
 import { getProfile, getTotalXp } from './storage.js';
+import { errorPatternLabel } from './mistakes.js';
+import { TIMER_RULES, describeMode } from './session-modes.js';
 
 // ─── Screen Navigation ───
 
-const screens = ['screen-home', 'screen-session', 'screen-review', 'screen-dashboard', 'screen-drill', 'screen-settings'];
+const screens = ['screen-home', 'screen-session', 'screen-review', 'screen-dashboard', 'screen-drill', 'screen-settings',
+                 'screen-sets', 'screen-modes'];
 
 export function showScreen(id) {
     for (const s of screens) {
@@ -19,18 +23,64 @@ export function showScreen(id) {
 export function displayProblem(problem) {
     const el = document.getElementById('problem-text');
     if (!el) return;
+    if (problem.format) {
+        displayMissingOperand(el, problem);
+        return;
+    }
+    const [left, op, right] = problem.expression
+        ? [problem.expression, '', '']
+        : problemParts(problem.baseOperation || problem.operation, problem.a, problem.b);
     el.innerHTML = `
-        <span class="operand-a">${problem.a}</span>
-        <span class="operator">${getOperatorSymbol(problem.operation)}</span>
-        <span class="operand-b">${problem.b}</span>
-        <span class="equals">=</span>
+        <span class="operand-a">${formatOperand(left)}</span>
+        ${op ? `<span class="operator">${op}</span>` : ''}
+        ${right ? `<span class="operand-b">${formatOperand(right)}</span>` : ''}
+        <span class="equals">${problem.estimate ? '\u2248' : '='}</span>
         <span class="answer-display" id="answer-display">?</span>
     `;
 }
 
+// "? × 7 = 56" — the answer slot takes the hidden operand's place
+function displayMissingOperand(el, problem) {
+    const [left, op, right] = problemParts(problem.operation, problem.a, problem.b);
+    const slot = '<span class="answer-display" id="answer-display">?</span>';
+    el.innerHTML = `
+        ${problem.format === '?a' ? slot : `<span class="operand-a">${formatOperand(left)}</span>`}
+        <span class="operator">${op}</span>
+        ${problem.format === '?b' ? slot : `<span class="operand-b">${formatOperand(right)}</span>`}
+        <span class="equals">=</span>
+        <span class="operand-result">${formatSigned(problem.result)}</span>
+    `;
+}
+
 export function updateAnswerDisplay(text) {
     const el = document.getElementById('answer-display');
-    if (el) el.textContent = text || '?';
+    if (el) el.innerHTML = formatOperand(text || '?');
+}
+
+// Render "n/d" as a stacked fraction and "14r3" as "14 r 3"; anything else is shown as-is
+function formatOperand(text) {
+    const remainder = /^(\d+)r(\d*)$/.exec(text);
+    if (remainder) return `${remainder[1]} <span class="remainder-mark">r</span> ${remainder[2]}`;
+    const match = /^(-?\d*)\/(\d*)$/.exec(text);
+    if (!match) return text;
+    return `<span class="frac"><span class="frac-num">${match[1] || '&nbsp;'}</span><span class="frac-den">${match[2] || '&nbsp;'}</span></span>`;
+}
+
+// Swap the numpad's decimal-point key for a fraction bar when the answer is n/d,
+// or for the remainder mark when it is "q r n"
+export function setAnswerMode(mode) {
+    const key = document.querySelector('.numpad-decimal');
+    if (!key) return;
+    if (mode === 'fraction') {
+        key.dataset.key = 'fraction';
+        key.textContent = '/';
+    } else if (mode === 'remainder') {
+        key.dataset.key = 'remainder';
+        key.textContent = 'r';
+    } else {
+        key.dataset.key = 'decimal';
+        key.textContent = '.';
+    }
 }
 
 // ─── Countdown Bar ───
@@ -131,7 +181,8 @@ export function updateXpDisplay() {
 
 let feedbackTimeout = null;
 
-export function showFeedback(isCorrect, problem, userAnswer) {
+// `nextInMs` is the pause before the next problem; the overlay clears just ahead of it
+export function showFeedback(isCorrect, problem, userAnswer, detail = null, mistake = null, nextInMs = null) {
     const overlay = document.getElementById('feedback-overlay');
     if (!overlay) return;
 
@@ -140,23 +191,62 @@ export function showFeedback(isCorrect, problem, userAnswer) {
     const icon = overlay.querySelector('.feedback-icon');
     const text = overlay.querySelector('.feedback-text');
     const hint = overlay.querySelector('.feedback-hint');
+    const cause = overlay.querySelector('.feedback-mistake');
+    if (cause) cause.textContent = mistake ? mistake.message : '';
 
     overlay.className = `feedback-overlay ${isCorrect ? 'correct' : 'wrong'}`;
 
+    // Estimates show the exact answer and how far off the guess was, right or wrong
+    if (problem.estimate) {
+        icon.textContent = isCorrect ? '\u2713' : '\u2717';
+        const question = problemParts(problem.baseOperation, problem.a, problem.b).join(' ');
+        text.textContent = `${question} = ${problem.answer}`;
+        hint.textContent = detail ? `You: ${userAnswer} — ${detail.errorPct.toFixed(1)}% off` : 'Time\'s up';
+        feedbackTimeout = setTimeout(() => {
+            overlay.className = 'feedback-overlay hidden';
+        }, isCorrect ? 1100 : 1800);
+        return;
+    }
+
     if (isCorrect) {
         icon.textContent = '\u2713';
         text.textContent = '';
         hint.textContent = '';
         feedbackTimeout = setTimeout(() => {
             overlay.className = 'feedback-overlay hidden';
-        }, 250);
+        }, nextInMs === null ? 250 : Math.max(0, nextInMs - 50));
     } else {
         icon.textContent = '\u2717';
-        text.textContent = `${problem.a} ${getOperatorSymbol(problem.operation)} ${problem.b} = ${problem.answer}`;
-        hint.textContent = generateHint(problem.operation, problem.a, problem.b, problem.answer);
+        const question = problem.expression || problemParts(problem.operation, problem.a, problem.b).filter(Boolean).join(' ');
+        text.textContent = `${question} = ${formatSigned(problem.format ? problem.result : problem.answer)}`;
+        if (problem.format) {
+            hint.textContent = generateMissingOperandHint(problem.operation, problem.a, problem.b, problem.format);
+        } else if (detail?.notReduced) {
+            hint.textContent = `Not reduced — ${userAnswer} = ${problem.answer}`;
+        } else if (problem.steps) {
+            hint.textContent = formatChainSteps(problem.steps);
+        } else {
+            hint.textContent = generateHint(problem.operation, problem.a, problem.b, problem.answer);
+        }
         feedbackTimeout = setTimeout(() => {
             overlay.className = 'feedback-overlay hidden';
-        }, 1800);
+        }, nextInMs === null ? 1800 : Math.max(0, nextInMs - 200));
+    }
+}
+
+// ─── In-problem Hint ───
+
+/** Show the latest revealed hint step (null for none); the hint key stays while steps remain. */
+export function showHint(step, hasMore) {
+    const text = document.getElementById('problem-hint');
+    const btn = document.getElementById('btn-hint');
+    if (text) {
+        text.textContent = step || '';
+        text.classList.toggle('hidden', !step);
+    }
+    if (btn) {
+        btn.classList.toggle('hidden', !step && !hasMore);
+        btn.disabled = !hasMore;
     }
 }
 
@@ -221,10 +311,22 @@ export function hidePause() {
 
 // ─── Review Screen ───
 
-export function renderReview(session) {
+export function renderReview(session, { newBest = false } = {}) {
     const el = document.getElementById('review-content');
     if (!el) return;
 
+    // A Zetamac run keeps only its score
+    if (session.score !== undefined) {
+        el.innerHTML = `
+            <div class="review-score">
+                <div class="review-score-value">${session.score}</div>
+                <div class="review-score-label">${newBest ? 'New personal best!' : 'Zetamac score'}</div>
+            </div>
+            ${session.seed !== undefined ? `<p class="review-seed">Seed ${session.seed}</p>` : ''}
+        `;
+        return;
+    }
+
     const accuracy = session.totalProblems > 0
         ? Math.round(session.accuracy * 100)
         : 0;
@@ -259,9 +361,15 @@ export function renderReview(session) {
                 <div class="review-stat-value">+${session.xpEarned}</div>
                 <div class="review-stat-label">XP Earned</div>
             </div>
+            ${session.avgErrorPct != null ? `<div class="review-stat">
+                <div class="review-stat-value">${session.avgErrorPct.toFixed(1)}%</div>
+                <div class="review-stat-label">Avg Error</div>
+            </div>` : ''}
         </div>
         ${renderWeakestProblems(session.weakestProblems)}
+        ${renderErrorPatterns(session.errorPatterns)}
         ${renderOperationBreakdown(session.operationBreakdown)}
+        ${session.seed !== undefined ? `<p class="review-seed">Seed ${session.seed}</p>` : ''}
     `;
 }
 
@@ -277,6 +385,20 @@ function renderWeakestProblems(problems) {
     `;
 }
 
+function renderErrorPatterns(patterns) {
+    if (!patterns) return '';
+    const entries = Object.entries(patterns).sort((a, b) => b[1] - a[1]);
+    if (entries.length === 0) return '';
+    return `
+        <div class="review-section">
+            <h3>Mistake Patterns</h3>
+            <div class="weak-problems-list">
+                ${entries.map(([pattern, count]) => `<span class="weak-problem-tag">${errorPatternLabel(pattern)} ×${count}</span>`).join('')}
+            </div>
+        </div>
+    `;
+}
+
 function renderOperationBreakdown(breakdown) {
     if (!breakdown) return '';
     const ops = Object.entries(breakdown).filter(([, v]) => v.count > 0);
@@ -302,6 +424,246 @@ function renderOperationBreakdown(breakdown) {
     `;
 }
 
+// ─── Difficulty Progression ───
+
+export function formatRange(operation, bounds) {
+    const a = `${bounds.minA}–${bounds.maxA}`;
+    if (OPERATIONS[operation]?.arity === 1 || bounds.minB === undefined) return a;
+    return `${a} ${getOperatorSymbol(operation)} ${bounds.minB}–${bounds.maxB}`;
+}
+
+// Rollbacks have already happened; expansions wait for the user to accept
+export function renderProgression({ expansions, rollbacks }, onAccept) {
+    const el = document.getElementById('review-progression');
+    if (!el) return;
+    if (expansions.length === 0 && rollbacks.length === 0) {
+        el.innerHTML = '';
+        return;
+    }
+
+    el.innerHTML = `
+        <div class="review-section">
+            <h3>Difficulty</h3>
+            <div class="op-breakdown">
+                ${rollbacks.map(c => `
+                    <div class="op-breakdown-row progression-row">
+                        <span class="op-name">${formatRange(c.operation, c.to)}</span>
+                        <span class="op-speed">Eased back — ${c.reason}</span>
+                    </div>
+                `).join('')}
+                ${expansions.map((c, i) => `
+                    <div class="op-breakdown-row progression-row">
+                        <span class="op-name">${formatRange(c.operation, c.to)}</span>
+                        <span class="op-speed">${c.reason}</span>
+                        <button class="btn-secondary btn-progression" data-index="${i}">Widen</button>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `;
+
+    el.querySelectorAll('.btn-progression').forEach(btn => {
+        btn.addEventListener('click', () => {
+            onAccept(expansions[Number(btn.dataset.index)]);
+            btn.disabled = true;
+            btn.textContent = 'Widened';
+        });
+    });
+}
+
+// ─── Problem Sets ───
+
+const SET_STATUS_LABELS = { new: 'new', due: 'due', learning: 'learning', solid: 'solid' };
+
+/** Set cards with per-problem schedule status; `progressOf(set)` comes from problem-sets.js. */
+export function renderProblemSets(sets, progressOf, { onPractice, onDelete }) {
+    const el = document.getElementById('sets-list');
+    if (!el) return;
+    if (sets.length === 0) {
+        el.innerHTML = '<p style="color: var(--text-muted); text-align: center;">No problem sets yet</p>';
+        return;
+    }
+
+    el.innerHTML = sets.map(set => {
+        const progress = progressOf(set);
+        const summary = Object.entries(SET_STATUS_LABELS)
+            .filter(([status]) => progress.counts[status] > 0)
+            .map(([status, label]) => `${progress.counts[status]} ${label}`)
+            .join(' · ');
+        const accuracy = progress.accuracy === null ? '' : ` — ${Math.round(progress.accuracy * 100)}%`;
+        return `
+            <div class="dash-card set-card" data-id="${set.id}">
+                <div class="set-card-header">
+                    <h3>${escapeHtml(set.name)}</h3>
+                    <span class="set-card-summary">${progress.total} problems${accuracy}</span>
+                </div>
+                <div class="set-card-summary">${summary}</div>
+                <div class="set-items">
+                    ${progress.items.map(item => `<span class="set-item set-item-${item.status}"
+                        title="${item.accuracy === null ? 'not tried' : `${Math.round(item.accuracy * 100)}%`}">${item.label}</span>`).join('')}
+                </div>
+                <div class="set-card-actions">
+                    <button class="btn-secondary btn-set-practice">Practice</button>
+                    <button class="btn-secondary btn-set-delete">Delete</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    el.querySelectorAll('.set-card').forEach(card => {
+        const set = sets.find(s => s.id === card.dataset.id);
+        card.querySelector('.btn-set-practice').addEventListener('click', () => onPractice(set));
+        card.querySelector('.btn-set-delete').addEventListener('click', () => onDelete(set));
+    });
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+// ─── Session Builder ───
+
+/** Saved modes as buttons after the built-in ones on the home screen. */
+export function renderCustomModeButtons(modes) {
+    const el = document.getElementById('mode-buttons');
+    if (!el) return;
+    el.querySelectorAll('.mode-btn-custom').forEach(btn => btn.remove());
+    for (const mode of modes) {
+        const btn = document.createElement('button');
+        btn.className = 'mode-btn mode-btn-custom';
+        btn.dataset.mode = mode.id;
+        btn.innerHTML = `
+            <span class="mode-btn-label">${escapeHtml(mode.name)}</span>
+            <span class="mode-btn-desc">${escapeHtml(describeMode(mode))}</span>
+        `;
+        el.appendChild(btn);
+    }
+}
+
+/** Reset the builder form: the mix starts as an even split of the enabled operations. */
+export function renderModeBuilder(settings) {
+    const ops = Object.keys(settings.operationRanges).filter(op => OPERATIONS[op]);
+    const enabled = ops.filter(op => settings.operationRanges[op].enabled);
+    const even = enabled.length > 0 ? Math.floor(100 / enabled.length) : 0;
+    const shares = new Map(enabled.map((op, i) => [op, even + (i < 100 - even * enabled.length ? 1 : 0)]));
+
+    const mixEl = document.getElementById('mode-mix');
+    if (mixEl) {
+        mixEl.innerHTML = ops.map(op => `
+            <label class="mode-mix-row">
+                <span>${getOperatorSymbol(op)} ${OPERATIONS[op].name}</span>
+                <input type="number" class="setting-input" data-op="${op}" min="0" max="100" value="${shares.get(op) || 0}">
+            </label>
+        `).join('');
+        mixEl.oninput = () => updateMixTotal();
+    }
+    updateMixTotal();
+
+    const ruleSelect = document.getElementById('mode-timer-rule');
+    if (ruleSelect) {
+        ruleSelect.innerHTML = Object.entries(TIMER_RULES)
+            .map(([rule, label]) => `<option value="${rule}">${label}</option>`).join('');
+    }
+
+    const defaults = {
+        'mode-name': '',
+        'mode-limit': 'time',
+        'mode-length': 10,
+        'mode-warmup': 5,
+        'mode-challenge': 80,
+        'mode-timer-rule': 'settings',
+        'mode-timer-seconds': settings.timerSeconds,
+        'mode-correct-delay': 0.3,
+        'mode-wrong-delay': 2
+    };
+    for (const [id, value] of Object.entries(defaults)) {
+        const input = document.getElementById(id);
+        if (input) input.value = value;
+    }
+    showModeErrors([]);
+}
+
+function updateMixTotal() {
+    const totalEl = document.getElementById('mode-mix-total');
+    if (!totalEl) return;
+    const total = [...document.querySelectorAll('#mode-mix input[data-op]')]
+        .reduce((s, input) => s + (parseInt(input.value, 10) || 0), 0);
+    totalEl.textContent = `${total}%`;
+    totalEl.classList.toggle('mode-mix-off', total !== 100);
+}
+
+/** Builder input in the shape validateCustomMode() takes. */
+export function readModeBuilder() {
+    const value = id => document.getElementById(id)?.value ?? '';
+    const limit = value('mode-limit') === 'count' ? 'count' : 'time';
+    const length = parseFloat(value('mode-length'));
+
+    const operationMix = {};
+    for (const input of document.querySelectorAll('#mode-mix input[data-op]')) {
+        const share = input.value.trim() === '' ? 0 : Number(input.value);
+        if (share !== 0) operationMix[input.dataset.op] = share;
+    }
+
+    return {
+        name: value('mode-name').trim(),
+        limit,
+        minutes: limit === 'time' ? length : null,
+        problemCount: limit === 'count' ? Math.round(length) : null,
+        operationMix,
+        warmupCount: parseInt(value('mode-warmup'), 10),
+        challengePct: parseFloat(value('mode-challenge')),
+        timerRule: value('mode-timer-rule'),
+        timerSeconds: parseFloat(value('mode-timer-seconds')),
+        correctMs: Math.round(parseFloat(value('mode-correct-delay')) * 1000),
+        wrongMs: Math.round(parseFloat(value('mode-wrong-delay')) * 1000)
+    };
+}
+
+export function showModeErrors(errors) {
+    const el = document.getElementById('mode-errors');
+    if (!el) return;
+    el.textContent = errors.join('. ');
+    el.classList.toggle('hidden', errors.length === 0);
+}
+
+/** Saved modes with their settings, to start or delete. */
+export function renderCustomModes(modes, { onStart, onDelete }) {
+    const el = document.getElementById('modes-list');
+    if (!el) return;
+    if (modes.length === 0) {
+        el.innerHTML = '<p style="color: var(--text-muted); text-align: center;">No custom modes yet</p>';
+        return;
+    }
+
+    el.innerHTML = modes.map(mode => {
+        const timer = mode.timer.rule === 'fixed' || mode.timer.rule === 'adaptive'
+            ? `${TIMER_RULES[mode.timer.rule]} timer, ${mode.timer.seconds}s`
+            : TIMER_RULES[mode.timer.rule];
+        return `
+            <div class="dash-card set-card" data-id="${mode.id}">
+                <div class="set-card-header">
+                    <h3>${escapeHtml(mode.name)}</h3>
+                    <span class="set-card-summary">${escapeHtml(describeMode(mode))}</span>
+                </div>
+                <div class="set-card-summary">
+                    ${mode.warmupCount} warmup · challenge from ${Math.round(mode.challengeAt * 100)}% · ${timer} ·
+                    pauses ${mode.feedback.correctMs / 1000}s / ${mode.feedback.wrongMs / 1000}s
+                </div>
+                <div class="set-card-actions">
+                    <button class="btn-secondary btn-mode-start">Start</button>
+                    <button class="btn-secondary btn-mode-delete">Delete</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    el.querySelectorAll('.set-card').forEach(card => {
+        const mode = modes.find(m => m.id === card.dataset.id);
+        card.querySelector('.btn-mode-start').addEventListener('click', () => onStart(mode));
+        card.querySelector('.btn-mode-delete').addEventListener('click', () => onDelete(mode));
+    });
+}
+
 // ─── XP Gain Animation ───
 
 export function showXpGain(amount) {
@@ -417,20 +779,83 @@ export function populateSettings(settings, onSave) {
         };
     }
 
+    const timerModeSelect = document.getElementById('setting-timer-mode');
+    if (timerModeSelect) timerModeSelect.value = settings.timerMode;
+
     // Sound
     const soundToggle = document.getElementById('setting-sound');
     if (soundToggle) soundToggle.checked = settings.soundEnabled;
 
+    // Fractions
+    const reducedToggle = document.getElementById('setting-require-reduced');
+    if (reducedToggle) reducedToggle.checked = settings.requireReducedFractions;
+
+    // Estimation
+    const toleranceSlider = document.getElementById('setting-est-tolerance');
+    const toleranceVal = document.getElementById('setting-est-tolerance-val');
+    if (toleranceSlider && toleranceVal) {
+        toleranceSlider.value = Math.round(settings.estimation.tolerance * 100);
+        toleranceVal.textContent = `\u00b1${toleranceSlider.value}%`;
+        toleranceSlider.oninput = () => {
+            toleranceVal.textContent = `\u00b1${toleranceSlider.value}%`;
+        };
+    }
+
+    // Missing-operand share
+    const missingSlider = document.getElementById('setting-missing-share');
+    const missingVal = document.getElementById('setting-missing-share-val');
+    if (missingSlider && missingVal) {
+        missingSlider.value = Math.round(settings.missingOperandShare * 100);
+        missingVal.textContent = `${missingSlider.value}%`;
+        missingSlider.oninput = () => {
+            missingVal.textContent = `${missingSlider.value}%`;
+        };
+    }
+
+    // Signed-operand share
+    const negativeSlider = document.getElementById('setting-negative-share');
+    const negativeVal = document.getElementById('setting-negative-share-val');
+    if (negativeSlider && negativeVal) {
+        negativeSlider.value = Math.round(settings.negativeShare * 100);
+        negativeVal.textContent = `${negativeSlider.value}%`;
+        negativeSlider.oninput = () => {
+            negativeVal.textContent = `${negativeSlider.value}%`;
+        };
+    }
+
+    // Progression
+    const progressionToggle = document.getElementById('setting-progression');
+    if (progressionToggle) progressionToggle.checked = settings.progression;
+
+    // Retirement
+    const retireToggle = document.getElementById('setting-retire-mastered');
+    if (retireToggle) retireToggle.checked = settings.retireMastered;
+
+    // Seed
+    const seedInput = document.getElementById('setting-seed');
+    if (seedInput) seedInput.value = settings.fixedSeed;
+
+    // Practice order
+    const orderSelect = document.getElementById('setting-practice-order');
+    if (orderSelect) orderSelect.value = settings.practiceOrder;
+
+    const blockInput = document.getElementById('setting-block-size');
+    if (blockInput) blockInput.value = settings.blockSize;
+
+    // Scheduler
+    const schedulerSelect = document.getElementById('setting-scheduler');
+    if (schedulerSelect) schedulerSelect.value = settings.scheduler;
+
     // Theme
     const themeSelect = document.getElementById('setting-theme');
     if (themeSelect) themeSelect.value = settings.theme;
 
     // Operations
-    for (const op of ['add', 'sub', 'mul', 'div']) {
+    for (const op of Object.keys(settings.operationRanges)) {
         const toggle = document.getElementById(`setting-${op}-enabled`);
         if (toggle) toggle.checked = settings.operationRanges[op].enabled;
 
-        for (const param of ['minA', 'maxA', 'minB', 'maxB']) {
+        for (const param of rangeParams(settings.operationRanges[op])) {
             const input = document.getElementById(`setting-${op}-${param}`);
             if (input) input.value = settings.operationRanges[op][param];
         }
@@ -443,21 +868,59 @@ export function readSettings(currentSettings) {
     const timerSlider = document.getElementById('setting-timer');
     if (timerSlider) s.timerSeconds = parseInt(timerSlider.value, 10);
 
+    const timerModeSelect = document.getElementById('setting-timer-mode');
+    if (timerModeSelect) s.timerMode = timerModeSelect.value;
+
     const soundToggle = document.getElementById('setting-sound');
     if (soundToggle) s.soundEnabled = soundToggle.checked;
 
+    const reducedToggle = document.getElementById('setting-require-reduced');
+    if (reducedToggle) s.requireReducedFractions = reducedToggle.checked;
+
+    const toleranceSlider = document.getElementById('setting-est-tolerance');
+    if (toleranceSlider) s.estimation.tolerance = parseInt(toleranceSlider.value, 10) / 100;
+
+    const missingSlider = document.getElementById('setting-missing-share');
+    if (missingSlider) s.missingOperandShare = parseInt(missingSlider.value, 10) / 100;
+
+    const negativeSlider = document.getElementById('setting-negative-share');
+    if (negativeSlider) s.negativeShare = parseInt(negativeSlider.value, 10) / 100;
+
+    const progressionToggle = document.getElementById('setting-progression');
+    if (progressionToggle) s.progression = progressionToggle.checked;
+
+    const retireToggle = document.getElementById('setting-retire-mastered');
+    if (retireToggle) s.retireMastered = retireToggle.checked;
+
+    const seedInput = document.getElementById('setting-seed');
+    if (seedInput) s.fixedSeed = seedInput.value.trim();
+
+    const orderSelect = document.getElementById('setting-practice-order');
+    if (orderSelect) s.practiceOrder = orderSelect.value;
+
+    const blockInput = document.getElementById('setting-block-size');
+    if (blockInput) {
+        const size = parseInt(blockInput.value, 10);
+        if (!isNaN(size) && size > 0) s.blockSize = size;
+    }
+
+    const schedulerSelect = document.getElementById('setting-scheduler');
+    if (schedulerSelect) s.scheduler = schedulerSelect.value;
+
     const themeSelect = document.getElementById('setting-theme');
     if (themeSelect) s.theme = themeSelect.value;
 
-    for (const op of ['add', 'sub', 'mul', 'div']) {
+    for (const op of Object.keys(s.operationRanges)) {
         const toggle = document.getElementById(`setting-${op}-enabled`);
         if (toggle) s.operationRanges[op].enabled = toggle.checked;
 
-        for (const param of ['minA', 'maxA', 'minB', 'maxB']) {
+        for (const param of rangeParams(s.operationRanges[op])) {
             const input = document.getElementById(`setting-${op}-${param}`);
             if (input) {
                 const val = parseInt(input.value, 10);
-                if (!isNaN(val) && val > 0) s.operationRanges[op][param] = val;
+                // Bounds of the signed ops may go to zero and below; everything else stays positive
+                const signed = SIGNED_OPS.includes(op) && RANGE_BOUNDS.includes(param);
+                if (!isNaN(val) && (signed || val > 0)) s.operationRanges[op][param] = val;
             }
         }
     }
@@ -465,6 +928,13 @@ export function readSettings(currentSettings) {
     return s;
 }
 
+const RANGE_BOUNDS = ['minA', 'maxA', 'minB', 'maxB'];
+
+// Numeric range parameters (minA, maxA, places, ...) — everything but the toggle
+function rangeParams(range) {
+    return Object.keys(range).filter(param => param !== 'enabled');
+}
+
 // ─── Theme ───
 
 export function applyTheme(theme) {
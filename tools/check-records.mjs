@@ -0,0 +1,90 @@
+// QuantPerfector — Record Checks (headless regression checks for the engine's record handling)
+//
+// Rebuilding the pool folds stray add/sub records into the stable catalog. These checks
+// make sure it only ever folds what it should, on a memory store with hand-made records.
+//
+//   node tools/check-records.mjs
+
+import assert from 'node:assert/strict';
+import { createEngine, createMemoryStore, createProblemRecord } from '../js/engine.js';
+import { DEFAULT_SETTINGS, canonicalizeProblemKey, missingOperandKey } from '../js/constants.js';
+import { createRng } from '../js/random.js';
+
+const NOW = Date.parse('2025-03-03T18:00:00Z');
+
+function setup(overrides = {}, sets = []) {
+    const settings = { ...structuredClone(DEFAULT_SETTINGS), ...overrides };
+    const store = createMemoryStore({}, [], sets);
+    const engine = createEngine({ store, settings: () => settings, rng: createRng('check'), clock: { now: () => NOW } });
+    return { settings, store, engine };
+}
+
+// A record practised a few times, due for review today
+function practised(key, operation, a, b, answer, extra = {}) {
+    return {
+        ...createProblemRecord(key, operation, a, b, answer),
+        totalAttempts: 3, totalCorrect: 2, interval: 1, repetitions: 1,
+        lastReviewDate: '2025-03-02', nextReviewDate: '2025-03-03',
+        ...extra
+    };
+}
+
+const CHECKS = {
+    'missing-operand records survive a rebuild'() {
+        const { store, engine } = setup({ missingOperandShare: 0.3 });
+        const variants = [['add', 34, 27, '?a'], ['add', 34, 27, '?b'], ['sub', 83, 47, '?a'], ['sub', 83, 47, '?b']];
+        for (const [op, a, b, format] of variants) {
+            const key = missingOperandKey(op, a, b, format);
+            store.saveRecord(practised(key, op, a, b, op === 'add' ? a + b : a - b, { format }));
+        }
+        engine.buildPool();
+        engine.buildPool();
+        const kept = Object.values(store.getAllRecords()).filter(r => r.format);
+        assert.equal(kept.length, variants.length);
+    },
+
+    'due missing-operand records are in the pool'() {
+        const { store, engine } = setup({ missingOperandShare: 0.3 });
+        const key = missingOperandKey('mul', 7, 8, '?b');
+        store.saveRecord(practised(key, 'mul', 7, 8, 56, { format: '?b' }));
+        store.saveRecord(practised(missingOperandKey('mul', 6, 9, '?b'), 'mul', 6, 9, 54,
+            { format: '?b', nextReviewDate: '2025-03-20' }));
+        const keys = engine.buildPool().filter(r => r.format).map(r => r.key);
+        assert.deepEqual(keys, [key]);
+    },
+
+    'custom set records survive a rebuild'() {
+        const items = [{ operation: 'sub', a: 83, b: 47 }, { operation: 'add', a: 13, b: 17 }];
+        const { store, engine } = setup({}, [{ id: 'set_1', name: 'Check', items }]);
+        const keys = items.map(({ operation, a, b }) => canonicalizeProblemKey(operation, a, b));
+        for (const { operation, a, b } of items) {
+            const key = canonicalizeProblemKey(operation, a, b);
+            store.saveRecord(practised(key, operation, a, b, operation === 'add' ? a + b : a - b));
+        }
+        engine.buildPool();
+        for (const key of keys) assert.ok(store.getRecord(key), `${key} was folded away`);
+    },
+
+    'stray forward records are still folded'() {
+        const { store, engine } = setup();
+        const key = canonicalizeProblemKey('add', 37, 52);
+        store.saveRecord(practised(key, 'add', 37, 52, 89));
+        const catalog = new Set(engine.buildPool().map(r => r.key));
+        if (catalog.has(key)) return; // landed on a catalog problem — nothing to fold
+        assert.equal(store.getRecord(key), null);
+    }
+};
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+    let failed = 0;
+    for (const [name, check] of Object.entries(CHECKS)) {
+        try {
+            check();
+            console.log(`ok    ${name}`);
+        } catch (err) {
+            failed++;
+            console.log(`FAIL  ${name}\n      ${err.message.split('\n').join('\n      ')}`);
+        }
+    }
+    if (failed > 0) process.exit(1);
+}
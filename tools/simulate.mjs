@@ -0,0 +1,340 @@
+// QuantPerfector — Learner Simulator (compare scheduling policies on synthetic learners)
+//
+// Drives the headless engine day by day with simulated learners: every fact has its own
+// memory that decays between reviews, answers get faster with practice, and some facts
+// are weak. Each policy (a set of settings overrides) faces the same learners and seeds,
+// so two runs differ only by the policy — or by the code, when a change to
+// calculatePriority or SM2_DEFAULTS is compared against a run from before it.
+//
+//   node tools/simulate.mjs [--days 365] [--learners 3] [--mode sprint] [--seed 1]
+//                           [--policies sm2,fsrs,...] [--weak-share 0.1] [--weak mul:7x8,...]
+//                           [--practice-rate 0.85] [--json]
+
+import { parseArgs } from 'node:util';
+import { createEngine, createMemoryStore } from '../js/engine.js';
+import { DEFAULT_SETTINGS, SESSION_MODES } from '../js/constants.js';
+import { createRng } from '../js/random.js';
+import { today } from '../js/schedulers.js';
+
+const DAY_MS = 86400000;
+const FEEDBACK_MS = 1200;            // time between an answer and the next problem
+const MAX_ATTEMPTS = 5000;           // the app keeps this much attempt history
+const MASTERY_STABILITY_DAYS = 21;   // remembered at 90% three weeks out…
+const MASTERY_TIME_MS = 3000;        // …and answered about this fast
+
+// Settings overrides per policy; anything not listed keeps DEFAULT_SETTINGS
+export const POLICIES = {
+    'sm2':          { scheduler: 'sm2' },
+    'fsrs':         { scheduler: 'fsrs' },
+    'sm2-blocked':  { scheduler: 'sm2', practiceOrder: 'blocked' },
+    'sm2-hybrid':   { scheduler: 'sm2', practiceOrder: 'hybrid' },
+    'sm2-retire':   { scheduler: 'sm2', retireMastered: true },
+    'fsrs-adaptive': { scheduler: 'fsrs', timerMode: 'adaptive' }
+};
+
+export const LEARNER_DEFAULTS = {
+    initialRecall: 0.35,  // chance of already knowing a fact on first sight
+    firstStability: 0.5,  // days until recall drops to 90% after first learning a fact
+    growth: 2.2,          // how much a successful recall stretches memory (more when it was harder)
+    lapseFactor: 0.4,     // share of stability kept after a failed recall
+    slowMs: 7000,         // answer time for a fact that has never been recalled
+    fastMs: 1600,         // answer time once it is fluent
+    speedReps: 6,         // successful recalls to close ~63% of the gap between the two
+    timeNoise: 0.3,       // ± relative jitter on answer times
+    weakShare: 0.1,       // share of facts that are weak
+    weakFactor: 0.4       // weak facts learn this much slower and start half as well known
+};
+
+// ─── Learner model ───
+
+/**
+ * A synthetic learner. Recall of a studied fact is 0.9^(elapsed days / stability);
+ * a successful recall stretches stability by more the lower recall was, a lapse
+ * shrinks it. Answer time falls from slowMs to fastMs with successful recalls.
+ */
+function createLearner(params, seed, isWeak) {
+    const rng = createRng(seed);
+    // Learners differ by up to ±25% in how fast they learn and answer
+    const jitter = () => 0.75 + rng() * 0.5;
+    const growth = params.growth * jitter();
+    const speed = jitter();
+    const facts = new Map();
+
+    function factOf(key) {
+        if (!facts.has(key)) {
+            const weak = isWeak(key);
+            facts.set(key, {
+                weak,
+                stability: null,
+                lastMs: null,
+                successes: 0,
+                firstSeenDay: null,
+                masteredDay: null
+            });
+        }
+        return facts.get(key);
+    }
+
+    function recall(fact, nowMs) {
+        if (fact.stability === null) return params.initialRecall * (fact.weak ? 0.5 : 1);
+        const days = Math.max(0, nowMs - fact.lastMs) / DAY_MS;
+        return Math.pow(0.9, days / fact.stability);
+    }
+
+    function meanTime(fact) {
+        return (params.fastMs + (params.slowMs - params.fastMs) * Math.exp(-fact.successes / params.speedReps)) * speed;
+    }
+
+    function answerTime(fact) {
+        return Math.round(meanTime(fact) * (1 + params.timeNoise * (2 * rng() - 1)));
+    }
+
+    return {
+        facts,
+        recall: (key, nowMs) => recall(factOf(key), nowMs),
+
+        /** Attempt a problem: whether it was recalled and how long it took. */
+        attempt(key, nowMs, day) {
+            const fact = factOf(key);
+            if (fact.firstSeenDay === null) fact.firstSeenDay = day;
+            const p = recall(fact, nowMs);
+            const recalled = rng() < p;
+            const timeMs = recalled ? answerTime(fact) : Math.round(answerTime(fact) * 1.3);
+            return { p, recalled, timeMs };
+        },
+
+        /** Learn from the outcome; a miss still shows the answer, so the fact is studied. */
+        learn(key, nowMs, day, p, correct) {
+            const fact = factOf(key);
+            const gain = fact.weak ? growth * params.weakFactor : growth;
+            if (fact.stability === null) {
+                fact.stability = params.firstStability;
+            } else if (correct) {
+                fact.stability *= 1 + gain * (1.1 - p);
+            } else {
+                fact.stability = Math.max(params.firstStability, fact.stability * params.lapseFactor);
+            }
+            if (correct) fact.successes++;
+            fact.lastMs = nowMs;
+            if (fact.masteredDay === null && fact.stability >= MASTERY_STABILITY_DAYS && meanTime(fact) <= MASTERY_TIME_MS) {
+                fact.masteredDay = day;
+            }
+        }
+    };
+}
+
+// ─── Simulation ───
+
+function settingsFor(policy) {
+    const settings = structuredClone(DEFAULT_SETTINGS);
+    const overrides = structuredClone(policy);
+    if (overrides.operationRanges) {
+        for (const [op, range] of Object.entries(overrides.operationRanges)) {
+            Object.assign(settings.operationRanges[op], range);
+        }
+        delete overrides.operationRanges;
+    }
+    return Object.assign(settings, overrides);
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/** One learner under one policy; returns the raw totals for the report. */
+function simulateLearner(policy, options, learnerIndex) {
+    const settings = settingsFor(policy);
+    const store = createMemoryStore();
+    const attempts = store.getAttempts();
+    let now = Date.parse('2025-01-06T18:00:00Z');
+    const engine = createEngine({
+        store,
+        settings: () => settings,
+        rng: createRng(`${options.seed}:engine:${learnerIndex}`),
+        clock: { now: () => now }
+    });
+
+    // Drawn per key, so a learner's weak facts are the same under every policy
+    const weakKeys = new Set(options.weak);
+    const isWeak = key => weakKeys.has(key) ||
+        createRng(`${options.seed}:weak:${learnerIndex}:${key}`)() < options.learner.weakShare;
+    const learner = createLearner(options.learner, `${options.seed}:learner:${learnerIndex}`, isWeak);
+    const schedule = createRng(`${options.seed}:days:${learnerIndex}`);
+
+    const mode = SESSION_MODES[options.mode];
+    const durationMs = (settings.sessionDurations[options.mode] ?? mode.duration) * 1000;
+    const totals = { sessions: 0, problems: 0, timeMs: 0, reviews: 0, reviewsCorrect: 0, dueSum: 0 };
+
+    for (let day = 0; day < options.days; day++) {
+        const dayStart = Date.parse('2025-01-06T18:00:00Z') + day * DAY_MS;
+        now = dayStart;
+
+        // Review load: what the scheduler has due at the start of each day
+        const todayStr = today(new Date(now));
+        for (const record of Object.values(store.getAllRecords())) {
+            if (record.nextReviewDate && record.nextReviewDate <= todayStr) totals.dueSum++;
+        }
+        if (schedule() >= options.practiceRate) continue;
+
+        engine.buildPool();
+        engine.startSession({ warmupCount: mode.warmupCount });
+        totals.sessions++;
+        let count = 0;
+        while (now - dayStart < durationMs) {
+            const elapsed = now - dayStart;
+            const phase = count < mode.warmupCount ? 'warmup' : elapsed >= durationMs * 0.8 ? 'challenge' : 'core';
+            const problem = engine.next(phase);
+            if (!problem) break;
+
+            const timeLimitMs = engine.timeLimitMs(problem);
+            const seenBefore = learner.facts.get(problem.key)?.lastMs;
+            const { p, recalled, timeMs } = learner.attempt(problem.key, now, day);
+            const timedOut = timeMs > timeLimitMs;
+            const isCorrect = recalled && !timedOut;
+            const responseTimeMs = timedOut ? timeLimitMs : timeMs;
+
+            now += responseTimeMs;
+            engine.answer(problem, { isCorrect, responseTimeMs, timeLimitMs, timedOut });
+            attempts.push({
+                problemKey: problem.key, operation: problem.operation, operandA: problem.a, operandB: problem.b,
+                isCorrect, responseTimeMs, timedOut, skills: problem.skills || []
+            });
+            if (attempts.length > MAX_ATTEMPTS) attempts.splice(0, attempts.length - MAX_ATTEMPTS);
+            learner.learn(problem.key, now, day, p, isCorrect);
+
+            // A review: the first look at a fact studied on an earlier day
+            if (seenBefore !== undefined && seenBefore !== null && seenBefore < dayStart) {
+                totals.reviews++;
+                if (isCorrect) totals.reviewsCorrect++;
+            }
+            totals.problems++;
+            totals.timeMs += responseTimeMs;
+            count++;
+            now += FEEDBACK_MS;
+        }
+    }
+
+    // Retention: how much of what was studied the learner would recall tomorrow
+    const end = Date.parse('2025-01-06T18:00:00Z') + options.days * DAY_MS;
+    const studied = [...learner.facts.entries()].filter(([, fact]) => fact.stability !== null);
+    const retention = studied.length > 0
+        ? studied.reduce((sum, [key]) => sum + learner.recall(key, end), 0) / studied.length
+        : null;
+    const masteryDays = studied
+        .filter(([, fact]) => fact.masteredDay !== null)
+        .map(([, fact]) => fact.masteredDay - fact.firstSeenDay);
+
+    return {
+        ...totals,
+        poolSize: engine.pool().length,
+        studied: studied.length,
+        mastered: masteryDays.length,
+        masteryDays,
+        retention
+    };
+}
+
+/**
+ * Run every policy against the same learners. Per policy: retention (mean recall
+ * over studied facts the day after the run), review accuracy, facts mastered and the
+ * median days from first sight to mastery, and the daily load (problems, minutes and
+ * records due).
+ */
+export function simulate(options) {
+    const results = [];
+    for (const name of options.policies) {
+        const policy = POLICIES[name];
+        if (!policy) throw new Error(`Unknown policy "${name}" (known: ${Object.keys(POLICIES).join(', ')})`);
+
+        const runs = [];
+        for (let i = 0; i < options.learners; i++) runs.push(simulateLearner(policy, options, i));
+
+        const sum = field => runs.reduce((total, run) => total + run[field], 0);
+        const retentions = runs.map(run => run.retention).filter(r => r !== null);
+        const learnerDays = options.days * runs.length;
+        results.push({
+            policy: name,
+            retention: retentions.length > 0 ? retentions.reduce((a, b) => a + b, 0) / retentions.length : null,
+            reviewAccuracy: sum('reviews') > 0 ? sum('reviewsCorrect') / sum('reviews') : null,
+            studied: sum('studied') / runs.length,
+            mastered: sum('mastered') / runs.length,
+            masteredShare: sum('poolSize') > 0 ? sum('mastered') / sum('poolSize') : 0,
+            medianDaysToMastery: median(runs.flatMap(run => run.masteryDays)),
+            problemsPerDay: sum('problems') / learnerDays,
+            minutesPerDay: sum('timeMs') / learnerDays / 60000,
+            duePerDay: sum('dueSum') / learnerDays
+        });
+    }
+    return results;
+}
+
+// ─── Report ───
+
+function pct(value) {
+    return value === null ? '—' : `${(value * 100).toFixed(1)}%`;
+}
+
+function num(value, digits = 1) {
+    return value === null ? '—' : value.toFixed(digits);
+}
+
+function printReport(results, options) {
+    console.log(`${options.learners} learner(s) × ${options.days} days, ${options.mode} sessions on ` +
+        `${Math.round(options.practiceRate * 100)}% of days, seed ${options.seed}\n`);
+    const rows = [['policy', 'retention', 'review acc', 'mastered', 'days to master', 'problems/day', 'min/day', 'due/day']];
+    for (const r of results) {
+        rows.push([r.policy, pct(r.retention), pct(r.reviewAccuracy), `${num(r.mastered, 0)} (${pct(r.masteredShare)})`,
+            num(r.medianDaysToMastery, 0), num(r.problemsPerDay), num(r.minutesPerDay), num(r.duePerDay)]);
+    }
+    const widths = rows[0].map((_, col) => Math.max(...rows.map(row => row[col].length)));
+    for (const row of rows) console.log(row.map((cell, col) => cell.padEnd(widths[col])).join('  '));
+}
+
+// ─── CLI ───
+
+function parseOptions(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            days:            { type: 'string', default: '365' },
+            learners:        { type: 'string', default: '3' },
+            mode:            { type: 'string', default: 'sprint' },
+            seed:            { type: 'string', default: '1' },
+            policies:        { type: 'string', default: Object.keys(POLICIES).join(',') },
+            weak:            { type: 'string', default: '' },
+            'weak-share':    { type: 'string', default: String(LEARNER_DEFAULTS.weakShare) },
+            'practice-rate': { type: 'string', default: '0.85' },
+            json:            { type: 'boolean', default: false }
+        }
+    });
+    const mode = SESSION_MODES[values.mode];
+    if (!mode || mode.estimation || mode.zetamac) {
+        throw new Error(`Unknown session mode "${values.mode}"`);
+    }
+    return {
+        days: Math.max(1, parseInt(values.days, 10) || 1),
+        learners: Math.max(1, parseInt(values.learners, 10) || 1),
+        mode: values.mode,
+        seed: values.seed,
+        policies: values.policies.split(',').map(p => p.trim()).filter(Boolean),
+        weak: values.weak.split(',').map(k => k.trim()).filter(Boolean),
+        practiceRate: Math.min(1, Math.max(0, parseFloat(values['practice-rate']))),
+        json: values.json,
+        learner: { ...LEARNER_DEFAULTS, weakShare: Math.min(1, Math.max(0, parseFloat(values['weak-share']))) }
+    };
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+    try {
+        const options = parseOptions(process.argv.slice(2));
+        const results = simulate(options);
+        if (options.json) console.log(JSON.stringify({ options, results }, null, 2));
+        else printReport(results, options);
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+}